@@ -1,21 +1,104 @@
+const {
+	TRIM_MIN,
+	TRIM_MAX,
+	EQ_BANDS,
+	EQ_GAIN_MIN,
+	EQ_GAIN_MAX,
+	EQ_FREQ_MIN,
+	EQ_FREQ_MAX,
+	EQ_Q_MIN,
+	EQ_Q_MAX,
+	EQ_FILTER_TYPES,
+	COMP_PARAMS,
+} = require('./constants')
+
 const NUM_INPUTS = 8
 const NUM_OUTPUTS = 8
+/** Output delay range (ms) */
+const DELAY_MAX_MS = 1000
+
+const DELAY_UNIT_CHOICES = [
+	{ id: 'ms', label: 'Milliseconds' },
+	{ id: 'm', label: 'Metres' },
+	{ id: 'ft', label: 'Feet' },
+]
+
+const FADE_CURVE_CHOICES = [
+	{ id: 'linear', label: 'Linear (dB)' },
+	{ id: 'taper', label: 'Audio taper (fader law)' },
+]
+
+const ENCODER_DIRECTION_CHOICES = [
+	{ id: 'up', label: 'Up (rotate right)' },
+	{ id: 'down', label: 'Down (rotate left)' },
+]
+
+/**
+ * Typed OSC arguments from text, e.g. `f:-6.5 i:2 s:"Stage left" T`.
+ * Returns { args } or { error } for the first token that cannot be read.
+ */
+function parseRawOscArgs(text) {
+	const args = []
+	const tokens = String(text || '').match(/[a-zA-Z]:"[^"]*"|[^\s"]+/g) || []
+	for (const token of tokens) {
+		if (token === 'T' || token === 'F') {
+			args.push({ type: token })
+			continue
+		}
+		const m = /^([fis]):(.*)$/.exec(token)
+		if (!m) return { error: `"${token}" is not a typed argument (use f:, i:, s: or T / F)` }
+		const raw = m[2].replace(/^"(.*)"$/, '$1')
+		if (m[1] === 's') {
+			args.push({ type: 's', value: raw })
+			continue
+		}
+		const num = Number(raw)
+		if (raw === '' || !Number.isFinite(num)) return { error: `"${token}" is not a number` }
+		if (m[1] === 'i' && !Number.isInteger(num)) return { error: `"${token}" is not an integer` }
+		args.push({ type: m[1], value: num })
+	}
+	return { args }
+}
 
 module.exports = function (self) {
-	const inputChoices = Array.from({ length: NUM_INPUTS }, (_, i) => {
-		const n = i + 1
-		const num = n <= 4 ? n : n - 4
-		const type = n <= 4 ? 'Analog in' : 'Dante in'
-		return { id: n, label: `${type} ${num}` }
-	})
-	const outputChoices = Array.from({ length: NUM_OUTPUTS }, (_, i) => {
-		const n = i + 1
-		const num = n <= 4 ? n : n - 4
-		const type = n <= 4 ? 'Analog out' : 'Dante out'
-		return { id: n, label: `${type} ${num}` }
-	})
+	const inputChoices = self.channelChoices('input')
+	const outputChoices = self.channelChoices('output')
+	const groupChoices = self.getGroups().map((g) => ({ id: g.name, label: `${g.name} (${g.type}s)` }))
+	const groupOption = {
+		type: 'dropdown',
+		id: 'group',
+		label: 'Group',
+		default: groupChoices.length > 0 ? groupChoices[0].id : '',
+		choices: groupChoices,
+		allowCustom: true,
+	}
+	const groupFromOptions = (options) => {
+		const group = self.getGroup(String(options.group || ''))
+		if (!group) self.log('warn', `Channel group "${options.group}" not found`)
+		return group
+	}
+	const snapshotChoices = Object.keys(self.getSnapshots()).map((name) => ({ id: name, label: name }))
+	const bandChoices = Array.from({ length: EQ_BANDS }, (_, i) => ({ id: i + 1, label: `Point ${i + 1}` }))
+
+	const channelOptions = self.channelOptions()
+	const channelFromOptions = (options) => {
+		const type = options.channel_type === 'output' ? 'output' : 'input'
+		return { type, idx: parseInt(options[type], 10) || 1 }
+	}
+	const bandOption = { type: 'dropdown', id: 'band', label: 'EQ point', default: 1, choices: bandChoices }
+
+	/** Send one EQ band parameter (gain, freq, q, type) and store it optimistically */
+	const sendEqBand = (param, channel, band, value) => {
+		self.sendParam(`eq_${param}_${channel.type}_${channel.idx}_${band}`, value)
+	}
+	const compParamChoices = Object.entries(COMP_PARAMS).map(([id, p]) => ({ id, label: `${p.label} (${p.unit})` }))
+	const clampCompParam = (param, value) => Math.max(COMP_PARAMS[param].min, Math.min(COMP_PARAMS[param].max, value))
+	const eqBandValue = (param, channel, band, fallback) => {
+		const num = parseFloat(self.syncState[`eq_${param}_${channel.type}_${channel.idx}_${band}`])
+		return isNaN(num) ? fallback : num
+	}
 
-	self.setActionDefinitions({
+	const definitions = {
 		refresh_sync: {
 			name: 'Refresh sync (get all settings from device)',
 			options: [],
@@ -23,6 +106,136 @@ module.exports = function (self) {
 				self.sendSync()
 			},
 		},
+		send_raw_osc: {
+			name: 'Send raw OSC',
+			description:
+				'Any DBT-44 path; /<device_name> is added. Replies to a "get" are stored as variables like other sync values.',
+			options: [
+				{
+					type: 'textinput',
+					id: 'path',
+					label: 'Path (without device name)',
+					default: '/gain/output/1',
+					useVariables: true,
+				},
+				{
+					type: 'dropdown',
+					id: 'mode',
+					label: 'Mode',
+					default: 'set',
+					choices: [
+						{ id: 'set', label: 'Set (send arguments)' },
+						{ id: 'get', label: 'Get (path only, reply is stored)' },
+					],
+				},
+				{
+					type: 'textinput',
+					id: 'args',
+					label: 'Arguments',
+					default: 'f:0',
+					useVariables: true,
+					tooltip:
+						'Space-separated: f:-6.5 (float), i:2 (integer), s:text or s:"text with spaces", T / F (true / false)',
+					isVisible: (options) => options.mode !== 'get',
+				},
+			],
+			callback: async (action, context) => {
+				const path = (await context.parseVariablesInString(action.options.path || '')).trim()
+				if (!/^\/[^\s#*,?[\]{}]+$/.test(path)) {
+					self.log('warn', `Send raw OSC: invalid path "${path}"`)
+					return
+				}
+				if (action.options.mode === 'get') {
+					self.sendOsc(path, [])
+					return
+				}
+				const { args, error } = parseRawOscArgs(await context.parseVariablesInString(action.options.args || ''))
+				if (error) {
+					self.log('warn', `Send raw OSC ${path}: ${error}`)
+					return
+				}
+				const variableId = self.pathToVariableId(path)
+				if (self.isParamLocked(variableId)) return
+				const first = args[0]
+				if (first && first.type === 'f') first.value = self.limitGain(variableId, first.value)
+				if (first && first.type === 'i') first.value = Math.floor(self.limitGain(variableId, first.value))
+				self.sendOsc(path, args)
+				// A set on a known parameter is an ordinary change: keep it in the undo history and in sync
+				if (first && self.syncVariableIds.has(variableId)) {
+					const value = first.type === 'T' ? true : first.type === 'F' ? false : first.value
+					self.cancelFade(variableId)
+					self.recordChange(variableId, value)
+					self.rememberMatrixLevel(variableId, value)
+					self.storeSyncValue(variableId, value)
+					self.applySyncVariables()
+				}
+			},
+		},
+		history_undo: {
+			name: 'Undo last change',
+			description: 'Restores the values before the last change made from Companion (a bulk action is one change)',
+			options: [],
+			callback: () => {
+				self.undo()
+			},
+		},
+		history_redo: {
+			name: 'Redo',
+			options: [],
+			callback: () => {
+				self.redo()
+			},
+		},
+		history_set_mark: {
+			name: 'Undo history: set mark',
+			description: 'Marks the current point, e.g. before an event, for "Revert everything since mark"',
+			options: [],
+			callback: () => {
+				self.setHistoryMark()
+			},
+		},
+		history_revert_to_mark: {
+			name: 'Undo history: revert everything since mark',
+			description: 'Undoes every change made since the mark (the whole history when no mark is set)',
+			options: [],
+			callback: () => {
+				self.revertToMark()
+			},
+		},
+		panel_lock: {
+			name: 'Panel lock',
+			description: 'While locked, all actions that change the device are ignored (kept across restarts)',
+			options: [
+				{
+					type: 'dropdown',
+					id: 'lock',
+					label: 'Lock',
+					default: 'toggle',
+					choices: [
+						{ id: false, label: 'Unlock' },
+						{ id: true, label: 'Lock' },
+						{ id: 'toggle', label: 'Toggle' },
+					],
+				},
+			],
+			callback: (action) => {
+				const locked =
+					action.options.lock === 'toggle'
+						? self.config.panelLocked !== true
+						: action.options.lock === true || action.options.lock === 'true'
+				self.setPanelLock(locked)
+			},
+		},
+		clear_confirm_warnings: {
+			name: 'Confirm mode: clear warnings',
+			options: [],
+			callback: () => {
+				self.confirmMismatches = {}
+				self.lastConfirmMismatch = ''
+				self.applySyncVariables()
+				self.checkFeedbacks('confirm_mismatch')
+			},
+		},
 		set_input_gain: {
 			name: 'Set input gain (matrix)',
 			options: [
@@ -42,11 +255,9 @@ module.exports = function (self) {
 			callback: (action) => {
 				const inIdx = parseInt(action.options.input, 10) || 1
 				const outIdx = parseInt(action.options.output, 10) || 1
-				const path = `/gain/input/${inIdx}/${outIdx}`
 				const value = Number(action.options.gain)
-				self.sendOsc(path, [{ type: 'f', value }])
 				const key = `gain_input_${inIdx}_${outIdx}`
-				self.storeSyncValue(key, value)
+				self.sendParam(key, value)
 				self.applySyncVariables()
 				self.checkFeedbacks('matrix_point_muted')
 			},
@@ -68,11 +279,9 @@ module.exports = function (self) {
 			],
 			callback: (action) => {
 				const outIdx = parseInt(action.options.output, 10) || 1
-				const path = `/gain/output/${outIdx}`
 				const value = Number(action.options.gain)
-				self.sendOsc(path, [{ type: 'f', value }])
 				const key = `gain_output_${outIdx}`
-				self.storeSyncValue(key, value)
+				self.sendParam(key, value)
 				self.applySyncVariables()
 			},
 		},
@@ -108,13 +317,12 @@ module.exports = function (self) {
 				const inIdx = parseInt(action.options.input, 10) || 1
 				const outIdx = parseInt(action.options.output, 10) || 1
 				const key = `gain_input_${inIdx}_${outIdx}`
+				self.cancelFade(key)
 				const current = parseFloat(self.syncState[key]) || 0
 				const preset = action.options.step_preset
 				const step = preset === 'custom' ? Number(action.options.step_custom) || 0 : Number(preset) || 0
 				const value = Math.max(-120, Math.min(10, current + step))
-				const path = `/gain/input/${inIdx}/${outIdx}`
-				self.sendOsc(path, [{ type: 'f', value }])
-				self.storeSyncValue(key, value)
+				self.sendParam(key, value)
 				self.applySyncVariables()
 				self.checkFeedbacks('matrix_point_muted')
 			},
@@ -149,45 +357,191 @@ module.exports = function (self) {
 			callback: (action) => {
 				const outIdx = parseInt(action.options.output, 10) || 1
 				const key = `gain_output_${outIdx}`
+				self.cancelFade(key)
 				const current = parseFloat(self.syncState[key]) || 0
 				const preset = action.options.step_preset
 				const step = preset === 'custom' ? Number(action.options.step_custom) || 0 : Number(preset) || 0
 				const value = Math.max(-120, Math.min(10, current + step))
-				const path = `/gain/output/${outIdx}`
-				self.sendOsc(path, [{ type: 'f', value }])
-				self.storeSyncValue(key, value)
+				self.sendParam(key, value)
 				self.applySyncVariables()
 			},
 		},
-		matrix_point_mute_toggle: {
-			name: 'Matrix point mute (toggle)',
+		rotate_input_gain: {
+			name: 'Encoder: input gain (matrix)',
+			description: 'For rotary encoders; step size and acceleration are set in the connection config',
 			options: [
 				{ type: 'dropdown', id: 'input', label: 'Input', default: 1, choices: inputChoices },
 				{ type: 'dropdown', id: 'output', label: 'Output', default: 1, choices: outputChoices },
+				{ type: 'dropdown', id: 'direction', label: 'Direction', default: 'up', choices: ENCODER_DIRECTION_CHOICES },
 			],
 			callback: (action) => {
 				const inIdx = parseInt(action.options.input, 10) || 1
 				const outIdx = parseInt(action.options.output, 10) || 1
 				const key = `gain_input_${inIdx}_${outIdx}`
-				const savedKey = `${inIdx}_${outIdx}`
-				const current = parseFloat(self.syncState[key])
-				const isMuted = !isNaN(current) && current <= -120
-				if (isMuted) {
-					const restore = self.savedMatrixGain[savedKey] != null ? Number(self.savedMatrixGain[savedKey]) : 0
-					delete self.savedMatrixGain[savedKey]
-					const path = `/gain/input/${inIdx}/${outIdx}`
-					self.sendOsc(path, [{ type: 'f', value: restore }])
-					self.storeSyncValue(key, restore)
-				} else {
-					self.savedMatrixGain[savedKey] = isNaN(current) ? 0 : current
-					const path = `/gain/input/${inIdx}/${outIdx}`
-					self.sendOsc(path, [{ type: 'f', value: -120 }])
-					self.storeSyncValue(key, -120)
-				}
+				self.cancelFade(key)
+				const current = parseFloat(self.syncState[key]) || 0
+				const step = self.encoderStepSize(key, action.options.direction)
+				const value = Math.max(-120, Math.min(10, current + (action.options.direction === 'down' ? -step : step)))
+				self.sendParam(key, value)
 				self.applySyncVariables()
 				self.checkFeedbacks('matrix_point_muted')
 			},
 		},
+		rotate_output_gain: {
+			name: 'Encoder: output gain',
+			description: 'For rotary encoders; step size and acceleration are set in the connection config',
+			options: [
+				{ type: 'dropdown', id: 'output', label: 'Output', default: 1, choices: outputChoices },
+				{ type: 'dropdown', id: 'direction', label: 'Direction', default: 'up', choices: ENCODER_DIRECTION_CHOICES },
+			],
+			callback: (action) => {
+				const outIdx = parseInt(action.options.output, 10) || 1
+				const key = `gain_output_${outIdx}`
+				self.cancelFade(key)
+				const current = parseFloat(self.syncState[key]) || 0
+				const step = self.encoderStepSize(key, action.options.direction)
+				const value = Math.max(-120, Math.min(10, current + (action.options.direction === 'down' ? -step : step)))
+				self.sendParam(key, value)
+				self.applySyncVariables()
+			},
+		},
+		fade_input_gain: {
+			name: 'Fade input gain (matrix)',
+			options: [
+				{ type: 'dropdown', id: 'input', label: 'Input', default: 1, choices: inputChoices },
+				{ type: 'dropdown', id: 'output', label: 'Output', default: 1, choices: outputChoices },
+				{
+					type: 'number',
+					id: 'gain',
+					label: 'Target gain (dB)',
+					default: 0,
+					min: -120,
+					max: 10,
+					step: 0.5,
+					range: true,
+				},
+				{ type: 'number', id: 'duration', label: 'Duration (s)', default: 3, min: 0, max: 600, step: 0.1 },
+				{ type: 'dropdown', id: 'curve', label: 'Curve', default: 'taper', choices: FADE_CURVE_CHOICES },
+			],
+			callback: (action) => {
+				const inIdx = parseInt(action.options.input, 10) || 1
+				const outIdx = parseInt(action.options.output, 10) || 1
+				const target = Math.max(-120, Math.min(10, Number(action.options.gain) || 0))
+				const durationMs = (Number(action.options.duration) || 0) * 1000
+				self.startFade(
+					`gain_input_${inIdx}_${outIdx}`,
+					`/gain/input/${inIdx}/${outIdx}`,
+					target,
+					durationMs,
+					action.options.curve,
+				)
+			},
+		},
+		fade_output_gain: {
+			name: 'Fade output gain',
+			options: [
+				{ type: 'dropdown', id: 'output', label: 'Output', default: 1, choices: outputChoices },
+				{
+					type: 'number',
+					id: 'gain',
+					label: 'Target gain (dB)',
+					default: 0,
+					min: -120,
+					max: 10,
+					step: 0.5,
+					range: true,
+				},
+				{ type: 'number', id: 'duration', label: 'Duration (s)', default: 3, min: 0, max: 600, step: 0.1 },
+				{ type: 'dropdown', id: 'curve', label: 'Curve', default: 'taper', choices: FADE_CURVE_CHOICES },
+			],
+			callback: (action) => {
+				const outIdx = parseInt(action.options.output, 10) || 1
+				const target = Math.max(-120, Math.min(10, Number(action.options.gain) || 0))
+				const durationMs = (Number(action.options.duration) || 0) * 1000
+				self.startFade(`gain_output_${outIdx}`, `/gain/output/${outIdx}`, target, durationMs, action.options.curve)
+			},
+		},
+		fade_out_all_outputs: {
+			name: 'Fade out all outputs',
+			options: [
+				{ type: 'number', id: 'duration', label: 'Duration (s)', default: 5, min: 0, max: 600, step: 0.1 },
+				{ type: 'dropdown', id: 'curve', label: 'Curve', default: 'taper', choices: FADE_CURVE_CHOICES },
+			],
+			callback: (action) => {
+				const durationMs = (Number(action.options.duration) || 0) * 1000
+				for (let outIdx = 1; outIdx <= NUM_OUTPUTS; outIdx++) {
+					self.startFade(`gain_output_${outIdx}`, `/gain/output/${outIdx}`, -120, durationMs, action.options.curve)
+				}
+			},
+		},
+		cancel_fades: {
+			name: 'Cancel all running fades',
+			options: [],
+			callback: () => {
+				self.cancelAllFades()
+			},
+		},
+		matrix_point_mute_toggle: {
+			name: 'Matrix point mute (toggle)',
+			options: [
+				{ type: 'dropdown', id: 'input', label: 'Input', default: 1, choices: inputChoices },
+				{ type: 'dropdown', id: 'output', label: 'Output', default: 1, choices: outputChoices },
+			],
+			callback: (action) => {
+				const inIdx = parseInt(action.options.input, 10) || 1
+				const outIdx = parseInt(action.options.output, 10) || 1
+				self.setMatrixPointMute(inIdx, outIdx, 'toggle')
+			},
+		},
+		set_matrix_point_mute: {
+			name: 'Matrix point mute',
+			description: 'Mute sends -120 dB and remembers the level; unmute returns to the remembered (restore) level',
+			options: [
+				{ type: 'dropdown', id: 'input', label: 'Input', default: 1, choices: inputChoices },
+				{ type: 'dropdown', id: 'output', label: 'Output', default: 1, choices: outputChoices },
+				{
+					type: 'dropdown',
+					id: 'mute',
+					label: 'Mute',
+					default: true,
+					choices: [
+						{ id: false, label: 'Unmute' },
+						{ id: true, label: 'Mute' },
+						{ id: 'toggle', label: 'Toggle' },
+					],
+				},
+			],
+			callback: (action) => {
+				const inIdx = parseInt(action.options.input, 10) || 1
+				const outIdx = parseInt(action.options.output, 10) || 1
+				const mute =
+					action.options.mute === 'toggle' ? 'toggle' : action.options.mute === true || action.options.mute === 'true'
+				self.setMatrixPointMute(inIdx, outIdx, mute)
+			},
+		},
+		set_matrix_restore_level: {
+			name: 'Matrix point: set restore level',
+			description: 'Level the crosspoint returns to on unmute (kept across restarts)',
+			options: [
+				{ type: 'dropdown', id: 'input', label: 'Input', default: 1, choices: inputChoices },
+				{ type: 'dropdown', id: 'output', label: 'Output', default: 1, choices: outputChoices },
+				{
+					type: 'number',
+					id: 'level',
+					label: 'Restore level (dB)',
+					default: 0,
+					min: -119.5,
+					max: 10,
+					step: 0.5,
+					range: true,
+				},
+			],
+			callback: (action) => {
+				const inIdx = parseInt(action.options.input, 10) || 1
+				const outIdx = parseInt(action.options.output, 10) || 1
+				self.setMatrixRestoreLevel(inIdx, outIdx, Number(action.options.level) || 0)
+			},
+		},
 		set_input_mute: {
 			name: 'Set input mute',
 			options: [
@@ -206,18 +560,13 @@ module.exports = function (self) {
 			],
 			callback: (action) => {
 				const inIdx = parseInt(action.options.input, 10) || 1
-				const path = `/mute/input/${inIdx}`
 				let mute = action.options.mute === true || action.options.mute === 'true'
 				if (action.options.mute === 'toggle') {
-					const v = self.syncState[`mute_input_${inIdx}`]
-					const num = parseFloat(v)
-					const isMuted = !isNaN(num) ? num !== 0 : v === '1' || v === 1 || v === true || v === 'true'
-					mute = !isMuted
+					mute = !self.isFlagOn(`mute_input_${inIdx}`)
 				}
-				self.sendOsc(path, [mute ? { type: 'T' } : { type: 'F' }])
-				self.storeSyncValue(`mute_input_${inIdx}`, mute ? 1 : 0)
+				self.sendParam(`mute_input_${inIdx}`, mute ? 1 : 0)
 				self.applySyncVariables()
-				self.checkFeedbacks('input_muted')
+				self.checkFeedbacks('input_muted', 'group_mute_state')
 			},
 		},
 		set_output_mute: {
@@ -238,19 +587,858 @@ module.exports = function (self) {
 			],
 			callback: (action) => {
 				const outIdx = parseInt(action.options.output, 10) || 1
-				const path = `/mute/output/${outIdx}`
 				let mute = action.options.mute === true || action.options.mute === 'true'
 				if (action.options.mute === 'toggle') {
-					const v = self.syncState[`mute_output_${outIdx}`]
-					const num = parseFloat(v)
-					const isMuted = !isNaN(num) ? num !== 0 : v === '1' || v === 1 || v === true || v === 'true'
-					mute = !isMuted
+					mute = !self.isFlagOn(`mute_output_${outIdx}`)
+				}
+				self.sendParam(`mute_output_${outIdx}`, mute ? 1 : 0)
+				self.applySyncVariables()
+				self.checkFeedbacks('output_muted', 'group_mute_state')
+			},
+		},
+		set_input_trim: {
+			name: 'Set input trim',
+			options: [
+				{ type: 'dropdown', id: 'input', label: 'Input', default: 1, choices: inputChoices },
+				{
+					type: 'number',
+					id: 'trim',
+					label: 'Trim (dB)',
+					default: 0,
+					min: TRIM_MIN,
+					max: TRIM_MAX,
+					step: 0.5,
+					range: true,
+				},
+			],
+			callback: (action) => {
+				const inIdx = parseInt(action.options.input, 10) || 1
+				const value = Math.max(TRIM_MIN, Math.min(TRIM_MAX, Number(action.options.trim) || 0))
+				self.sendParam(`trim_${inIdx}`, value)
+				self.applySyncVariables()
+				self.checkFeedbacks('input_trim_active')
+			},
+		},
+		step_input_trim: {
+			name: 'Step input trim',
+			options: [
+				{ type: 'dropdown', id: 'input', label: 'Input', default: 1, choices: inputChoices },
+				{
+					type: 'dropdown',
+					id: 'step_preset',
+					label: 'Step',
+					default: '1',
+					choices: [
+						{ id: '1', label: '+1 dB' },
+						{ id: '-1', label: '-1 dB' },
+						{ id: 'custom', label: 'Custom amount' },
+					],
+				},
+				{
+					type: 'number',
+					id: 'step_custom',
+					label: 'Custom step (dB)',
+					default: 1,
+					min: TRIM_MIN - TRIM_MAX,
+					max: TRIM_MAX - TRIM_MIN,
+					step: 0.5,
+					tooltip: 'Used when Step is "Custom amount". Positive = add dB, negative = subtract dB.',
+					isVisible: (options) => options.step_preset === 'custom',
+				},
+			],
+			callback: (action) => {
+				const inIdx = parseInt(action.options.input, 10) || 1
+				const key = `trim_${inIdx}`
+				const current = parseFloat(self.syncState[key]) || 0
+				const preset = action.options.step_preset
+				const step = preset === 'custom' ? Number(action.options.step_custom) || 0 : Number(preset) || 0
+				const value = Math.max(TRIM_MIN, Math.min(TRIM_MAX, current + step))
+				self.sendParam(key, value)
+				self.applySyncVariables()
+				self.checkFeedbacks('input_trim_active')
+			},
+		},
+		reset_input_trim: {
+			name: 'Reset input trim (0 dB)',
+			options: [{ type: 'dropdown', id: 'input', label: 'Input', default: 1, choices: inputChoices }],
+			callback: (action) => {
+				const inIdx = parseInt(action.options.input, 10) || 1
+				self.sendParam(`trim_${inIdx}`, 0)
+				self.applySyncVariables()
+				self.checkFeedbacks('input_trim_active')
+			},
+		},
+		set_output_delay: {
+			name: 'Set output delay',
+			options: [
+				{ type: 'dropdown', id: 'output', label: 'Output', default: 1, choices: outputChoices },
+				{ type: 'dropdown', id: 'unit', label: 'Unit', default: 'ms', choices: DELAY_UNIT_CHOICES },
+				{
+					type: 'number',
+					id: 'amount',
+					label: 'Delay',
+					default: 0,
+					min: 0,
+					max: DELAY_MAX_MS,
+					step: 0.1,
+					tooltip: 'Distances are converted to time using the speed of sound (343 m/s).',
+				},
+			],
+			callback: (action) => {
+				const outIdx = parseInt(action.options.output, 10) || 1
+				const ms = self.delayToMs(action.options.amount, action.options.unit)
+				const value = Math.max(0, Math.min(DELAY_MAX_MS, ms))
+				self.sendParam(`delay_${outIdx}`, value)
+				self.applySyncVariables()
+			},
+		},
+		step_output_delay: {
+			name: 'Step output delay',
+			options: [
+				{ type: 'dropdown', id: 'output', label: 'Output', default: 1, choices: outputChoices },
+				{ type: 'dropdown', id: 'unit', label: 'Unit', default: 'ms', choices: DELAY_UNIT_CHOICES },
+				{
+					type: 'number',
+					id: 'step',
+					label: 'Step',
+					default: 1,
+					min: -DELAY_MAX_MS,
+					max: DELAY_MAX_MS,
+					step: 0.1,
+					tooltip: 'Positive = add delay, negative = remove delay.',
+				},
+			],
+			callback: (action) => {
+				const outIdx = parseInt(action.options.output, 10) || 1
+				const key = `delay_${outIdx}`
+				const current = parseFloat(self.syncState[key]) || 0
+				const step = self.delayToMs(action.options.step, action.options.unit)
+				const value = Math.max(0, Math.min(DELAY_MAX_MS, current + step))
+				self.sendParam(key, value)
+				self.applySyncVariables()
+			},
+		},
+		clear_output_delay: {
+			name: 'Clear output delay (0 ms)',
+			options: [{ type: 'dropdown', id: 'output', label: 'Output', default: 1, choices: outputChoices }],
+			callback: (action) => {
+				const outIdx = parseInt(action.options.output, 10) || 1
+				self.sendParam(`delay_${outIdx}`, 0)
+				self.applySyncVariables()
+			},
+		},
+		set_input_phase: {
+			name: 'Set input polarity (phase)',
+			options: [
+				{ type: 'dropdown', id: 'input', label: 'Input', default: 1, choices: inputChoices },
+				{
+					type: 'dropdown',
+					id: 'invert',
+					label: 'Polarity',
+					default: true,
+					choices: [
+						{ id: false, label: 'Normal' },
+						{ id: true, label: 'Inverted' },
+						{ id: 'toggle', label: 'Toggle' },
+					],
+				},
+			],
+			callback: (action) => {
+				const inIdx = parseInt(action.options.input, 10) || 1
+				let invert = action.options.invert === true || action.options.invert === 'true'
+				if (action.options.invert === 'toggle') {
+					invert = !self.isFlagOn(`phase_input_${inIdx}`)
 				}
-				self.sendOsc(path, [mute ? { type: 'T' } : { type: 'F' }])
-				self.storeSyncValue(`mute_output_${outIdx}`, mute ? 1 : 0)
+				self.sendParam(`phase_input_${inIdx}`, invert ? 1 : 0)
 				self.applySyncVariables()
-				self.checkFeedbacks('output_muted')
+				self.checkFeedbacks('input_phase_inverted')
 			},
 		},
-	})
+		set_output_phase: {
+			name: 'Set output polarity (phase)',
+			options: [
+				{ type: 'dropdown', id: 'output', label: 'Output', default: 1, choices: outputChoices },
+				{
+					type: 'dropdown',
+					id: 'invert',
+					label: 'Polarity',
+					default: true,
+					choices: [
+						{ id: false, label: 'Normal' },
+						{ id: true, label: 'Inverted' },
+						{ id: 'toggle', label: 'Toggle' },
+					],
+				},
+			],
+			callback: (action) => {
+				const outIdx = parseInt(action.options.output, 10) || 1
+				let invert = action.options.invert === true || action.options.invert === 'true'
+				if (action.options.invert === 'toggle') {
+					invert = !self.isFlagOn(`phase_output_${outIdx}`)
+				}
+				self.sendParam(`phase_output_${outIdx}`, invert ? 1 : 0)
+				self.applySyncVariables()
+				self.checkFeedbacks('output_phase_inverted')
+			},
+		},
+		set_eq_enable: {
+			name: 'Set EQ enable / bypass',
+			options: [
+				...channelOptions,
+				{
+					type: 'dropdown',
+					id: 'enable',
+					label: 'EQ',
+					default: 'toggle',
+					choices: [
+						{ id: true, label: 'Enable' },
+						{ id: false, label: 'Bypass' },
+						{ id: 'toggle', label: 'Toggle' },
+					],
+				},
+			],
+			callback: (action) => {
+				const channel = channelFromOptions(action.options)
+				const key = `eqenable_${channel.type}_${channel.idx}`
+				let enable = action.options.enable === true || action.options.enable === 'true'
+				if (action.options.enable === 'toggle') {
+					enable = !self.isFlagOn(key)
+				}
+				self.sendParam(key, enable ? 1 : 0)
+				self.applySyncVariables()
+				self.checkFeedbacks('eq_active')
+			},
+		},
+		set_eq_band_gain: {
+			name: 'Set EQ point gain',
+			options: [
+				...channelOptions,
+				bandOption,
+				{
+					type: 'number',
+					id: 'gain',
+					label: 'Gain (dB)',
+					default: 0,
+					min: EQ_GAIN_MIN,
+					max: EQ_GAIN_MAX,
+					step: 0.5,
+					range: true,
+				},
+			],
+			callback: (action) => {
+				const channel = channelFromOptions(action.options)
+				const band = parseInt(action.options.band, 10) || 1
+				const value = Math.max(EQ_GAIN_MIN, Math.min(EQ_GAIN_MAX, Number(action.options.gain) || 0))
+				sendEqBand('gain', channel, band, value)
+				self.applySyncVariables()
+			},
+		},
+		step_eq_band_gain: {
+			name: 'Step EQ point gain',
+			options: [
+				...channelOptions,
+				bandOption,
+				{
+					type: 'number',
+					id: 'step',
+					label: 'Step (dB)',
+					default: 1,
+					min: EQ_GAIN_MIN - EQ_GAIN_MAX,
+					max: EQ_GAIN_MAX - EQ_GAIN_MIN,
+					step: 0.5,
+					tooltip: 'Positive = add dB, negative = subtract dB.',
+				},
+			],
+			callback: (action) => {
+				const channel = channelFromOptions(action.options)
+				const band = parseInt(action.options.band, 10) || 1
+				const current = eqBandValue('gain', channel, band, 0)
+				const step = Number(action.options.step) || 0
+				const value = Math.max(EQ_GAIN_MIN, Math.min(EQ_GAIN_MAX, current + step))
+				sendEqBand('gain', channel, band, value)
+				self.applySyncVariables()
+			},
+		},
+		set_eq_band_freq: {
+			name: 'Set EQ point frequency',
+			options: [
+				...channelOptions,
+				bandOption,
+				{
+					type: 'number',
+					id: 'freq',
+					label: 'Frequency (Hz)',
+					default: 1000,
+					min: EQ_FREQ_MIN,
+					max: EQ_FREQ_MAX,
+					step: 1,
+				},
+			],
+			callback: (action) => {
+				const channel = channelFromOptions(action.options)
+				const band = parseInt(action.options.band, 10) || 1
+				const value = Math.max(EQ_FREQ_MIN, Math.min(EQ_FREQ_MAX, Number(action.options.freq) || 1000))
+				sendEqBand('freq', channel, band, value)
+				self.applySyncVariables()
+			},
+		},
+		step_eq_band_freq: {
+			name: 'Step EQ point frequency',
+			options: [
+				...channelOptions,
+				bandOption,
+				{
+					type: 'number',
+					id: 'octaves',
+					label: 'Step (octaves)',
+					default: 0.33,
+					min: -10,
+					max: 10,
+					step: 0.01,
+					tooltip: 'Positive = higher, negative = lower. 0.33 is a third of an octave.',
+				},
+			],
+			callback: (action) => {
+				const channel = channelFromOptions(action.options)
+				const band = parseInt(action.options.band, 10) || 1
+				const current = eqBandValue('freq', channel, band, 1000)
+				const octaves = Number(action.options.octaves) || 0
+				const value = Math.max(EQ_FREQ_MIN, Math.min(EQ_FREQ_MAX, current * Math.pow(2, octaves)))
+				sendEqBand('freq', channel, band, value)
+				self.applySyncVariables()
+			},
+		},
+		set_eq_band_q: {
+			name: 'Set EQ point Q',
+			options: [
+				...channelOptions,
+				bandOption,
+				{ type: 'number', id: 'q', label: 'Q', default: 1, min: EQ_Q_MIN, max: EQ_Q_MAX, step: 0.1 },
+			],
+			callback: (action) => {
+				const channel = channelFromOptions(action.options)
+				const band = parseInt(action.options.band, 10) || 1
+				const value = Math.max(EQ_Q_MIN, Math.min(EQ_Q_MAX, Number(action.options.q) || 1))
+				sendEqBand('q', channel, band, value)
+				self.applySyncVariables()
+			},
+		},
+		step_eq_band_q: {
+			name: 'Step EQ point Q',
+			options: [
+				...channelOptions,
+				bandOption,
+				{
+					type: 'number',
+					id: 'step',
+					label: 'Step',
+					default: 0.1,
+					min: -EQ_Q_MAX,
+					max: EQ_Q_MAX,
+					step: 0.1,
+					tooltip: 'Positive = narrower, negative = wider.',
+				},
+			],
+			callback: (action) => {
+				const channel = channelFromOptions(action.options)
+				const band = parseInt(action.options.band, 10) || 1
+				const current = eqBandValue('q', channel, band, 1)
+				const step = Number(action.options.step) || 0
+				const value = Math.max(EQ_Q_MIN, Math.min(EQ_Q_MAX, current + step))
+				sendEqBand('q', channel, band, value)
+				self.applySyncVariables()
+			},
+		},
+		set_eq_band_type: {
+			name: 'Set EQ point filter type',
+			options: [
+				...channelOptions,
+				bandOption,
+				{ type: 'dropdown', id: 'filter', label: 'Filter type', default: 0, choices: EQ_FILTER_TYPES },
+			],
+			callback: (action) => {
+				const channel = channelFromOptions(action.options)
+				const band = parseInt(action.options.band, 10) || 1
+				const value = parseInt(action.options.filter, 10) || 0
+				sendEqBand('type', channel, band, value)
+				self.applySyncVariables()
+			},
+		},
+		step_eq_band_type: {
+			name: 'Step EQ point filter type (next / previous)',
+			options: [
+				...channelOptions,
+				bandOption,
+				{
+					type: 'dropdown',
+					id: 'direction',
+					label: 'Direction',
+					default: 'next',
+					choices: [
+						{ id: 'next', label: 'Next' },
+						{ id: 'previous', label: 'Previous' },
+					],
+				},
+			],
+			callback: (action) => {
+				const channel = channelFromOptions(action.options)
+				const band = parseInt(action.options.band, 10) || 1
+				const current = Math.round(eqBandValue('type', channel, band, 0))
+				const pos = Math.max(
+					0,
+					EQ_FILTER_TYPES.findIndex((t) => t.id === current),
+				)
+				const delta = action.options.direction === 'previous' ? -1 : 1
+				const next = EQ_FILTER_TYPES[(pos + delta + EQ_FILTER_TYPES.length) % EQ_FILTER_TYPES.length]
+				sendEqBand('type', channel, band, next.id)
+				self.applySyncVariables()
+			},
+		},
+		flatten_eq: {
+			name: 'Flatten EQ (all points to 0 dB)',
+			options: [...channelOptions],
+			callback: (action) => {
+				const channel = channelFromOptions(action.options)
+				for (let band = 1; band <= EQ_BANDS; band++) {
+					sendEqBand('gain', channel, band, 0)
+				}
+				self.applySyncVariables()
+			},
+		},
+		set_comp_enable: {
+			name: 'Set compressor enable / bypass',
+			options: [
+				...channelOptions,
+				{
+					type: 'dropdown',
+					id: 'enable',
+					label: 'Compressor',
+					default: 'toggle',
+					choices: [
+						{ id: true, label: 'Enable' },
+						{ id: false, label: 'Bypass' },
+						{ id: 'toggle', label: 'Toggle' },
+					],
+				},
+			],
+			callback: (action) => {
+				const channel = channelFromOptions(action.options)
+				const key = `comp_enable_${channel.type}_${channel.idx}`
+				let enable = action.options.enable === true || action.options.enable === 'true'
+				if (action.options.enable === 'toggle') {
+					enable = !self.isFlagOn(key)
+				}
+				self.sendParam(key, enable ? 1 : 0)
+				self.applySyncVariables()
+				self.checkFeedbacks('comp_engaged')
+			},
+		},
+		set_comp_param: {
+			name: 'Set compressor parameter',
+			options: [
+				...channelOptions,
+				{ type: 'dropdown', id: 'param', label: 'Parameter', default: 'threshold', choices: compParamChoices },
+				...Object.entries(COMP_PARAMS).map(([id, p]) => ({
+					type: 'number',
+					id: `value_${id}`,
+					label: `${p.label} (${p.unit})`,
+					default: p.default,
+					min: p.min,
+					max: p.max,
+					step: p.step,
+					isVisible: (options, data) => options.param === data,
+					isVisibleData: id,
+				})),
+			],
+			callback: (action) => {
+				const channel = channelFromOptions(action.options)
+				const param = COMP_PARAMS[action.options.param] ? action.options.param : 'threshold'
+				const raw = Number(action.options[`value_${param}`])
+				const value = clampCompParam(param, Number.isFinite(raw) ? raw : COMP_PARAMS[param].default)
+				self.sendParam(`comp_${param}_${channel.type}_${channel.idx}`, value)
+				self.applySyncVariables()
+			},
+		},
+		step_comp_param: {
+			name: 'Step compressor parameter',
+			options: [
+				...channelOptions,
+				{ type: 'dropdown', id: 'param', label: 'Parameter', default: 'threshold', choices: compParamChoices },
+				{
+					type: 'number',
+					id: 'step',
+					label: 'Step',
+					default: 1,
+					min: -2000,
+					max: 2000,
+					step: 0.1,
+					tooltip: "In the parameter's unit. Positive = increase, negative = decrease.",
+				},
+			],
+			callback: (action) => {
+				const channel = channelFromOptions(action.options)
+				const param = COMP_PARAMS[action.options.param] ? action.options.param : 'threshold'
+				const key = `comp_${param}_${channel.type}_${channel.idx}`
+				const num = parseFloat(self.syncState[key])
+				const current = isNaN(num) ? COMP_PARAMS[param].default : num
+				const value = clampCompParam(param, current + (Number(action.options.step) || 0))
+				self.sendParam(key, value)
+				self.applySyncVariables()
+			},
+		},
+		route_exclusive: {
+			name: 'Routing: route input exclusively to output',
+			description:
+				'Sets the input to the given level on the output and mutes (-120 dB) every other input on that output',
+			options: [
+				{ type: 'dropdown', id: 'input', label: 'Input', default: 1, choices: inputChoices },
+				{ type: 'dropdown', id: 'output', label: 'Output', default: 1, choices: outputChoices },
+				{
+					type: 'number',
+					id: 'gain',
+					label: 'Gain (dB)',
+					default: 0,
+					min: -120,
+					max: 10,
+					step: 0.5,
+					range: true,
+				},
+			],
+			callback: (action) => {
+				const inIdx = parseInt(action.options.input, 10) || 1
+				const outIdx = parseInt(action.options.output, 10) || 1
+				const changes = []
+				for (let i = 1; i <= NUM_INPUTS; i++) {
+					changes.push([i, outIdx, i === inIdx ? Number(action.options.gain) : -120])
+				}
+				self.setMatrixGains(changes)
+			},
+		},
+		solo_input: {
+			name: 'Solo: input on output',
+			description: 'Temporarily mutes every other input on the output; cancelling restores the previous levels exactly',
+			options: [
+				{ type: 'dropdown', id: 'input', label: 'Input', default: 1, choices: inputChoices },
+				{ type: 'dropdown', id: 'output', label: 'Output', default: 1, choices: outputChoices },
+				{
+					type: 'dropdown',
+					id: 'mode',
+					label: 'Mode',
+					default: 'toggle',
+					choices: [
+						{ id: 'solo', label: 'Solo' },
+						{ id: 'cancel', label: 'Cancel solo on this output' },
+						{ id: 'toggle', label: 'Toggle' },
+					],
+				},
+			],
+			callback: (action) => {
+				const inIdx = parseInt(action.options.input, 10) || 1
+				const outIdx = parseInt(action.options.output, 10) || 1
+				const active = self.getSolos()[outIdx]
+				const cancel =
+					action.options.mode === 'cancel' || (action.options.mode === 'toggle' && !!active && active.input === inIdx)
+				if (cancel) self.cancelSolo(outIdx)
+				else self.soloInput(inIdx, outIdx)
+			},
+		},
+		clear_all_solos: {
+			name: 'Solo: clear all solos',
+			options: [],
+			callback: () => {
+				self.clearAllSolos()
+			},
+		},
+		clear_output_sources: {
+			name: 'Routing: clear all sources on output',
+			description: 'Sets every input on the output to -120 dB',
+			options: [{ type: 'dropdown', id: 'output', label: 'Output', default: 1, choices: outputChoices }],
+			callback: (action) => {
+				const outIdx = parseInt(action.options.output, 10) || 1
+				self.setMatrixGains(Array.from({ length: NUM_INPUTS }, (_, i) => [i + 1, outIdx, -120]))
+			},
+		},
+		copy_output_mix: {
+			name: 'Routing: copy output mix to another output',
+			description: 'Copies the matrix gains of every input from the source output to the destination output',
+			options: [
+				{ type: 'dropdown', id: 'from', label: 'From output', default: 1, choices: outputChoices },
+				{ type: 'dropdown', id: 'to', label: 'To output', default: 2, choices: outputChoices },
+			],
+			callback: (action) => {
+				const fromIdx = parseInt(action.options.from, 10) || 1
+				const toIdx = parseInt(action.options.to, 10) || 1
+				if (fromIdx === toIdx) return
+				const changes = []
+				for (let i = 1; i <= NUM_INPUTS; i++) {
+					const num = parseFloat(self.syncState[`gain_input_${i}_${fromIdx}`])
+					if (!isNaN(num)) changes.push([i, toIdx, num])
+				}
+				self.setMatrixGains(changes)
+			},
+		},
+		set_input_row: {
+			name: 'Routing: set input to all outputs',
+			description: 'Sets the matrix gain of the input on every output',
+			options: [
+				{ type: 'dropdown', id: 'input', label: 'Input', default: 1, choices: inputChoices },
+				{
+					type: 'number',
+					id: 'gain',
+					label: 'Gain (dB)',
+					default: 0,
+					min: -120,
+					max: 10,
+					step: 0.5,
+					range: true,
+				},
+			],
+			callback: (action) => {
+				const inIdx = parseInt(action.options.input, 10) || 1
+				const gain = Number(action.options.gain)
+				self.setMatrixGains(Array.from({ length: NUM_OUTPUTS }, (_, o) => [inIdx, o + 1, gain]))
+			},
+		},
+		set_output_column: {
+			name: 'Routing: set all inputs on output',
+			description: 'Sets the matrix gain of every input on the output',
+			options: [
+				{ type: 'dropdown', id: 'output', label: 'Output', default: 1, choices: outputChoices },
+				{
+					type: 'number',
+					id: 'gain',
+					label: 'Gain (dB)',
+					default: 0,
+					min: -120,
+					max: 10,
+					step: 0.5,
+					range: true,
+				},
+			],
+			callback: (action) => {
+				const outIdx = parseInt(action.options.output, 10) || 1
+				const gain = Number(action.options.gain)
+				self.setMatrixGains(Array.from({ length: NUM_INPUTS }, (_, i) => [i + 1, outIdx, gain]))
+			},
+		},
+		route_straight_through: {
+			name: 'Routing: straight through (unity diagonal)',
+			description: 'Input n to output n at the given level, every other crosspoint at -120 dB',
+			options: [
+				{
+					type: 'number',
+					id: 'gain',
+					label: 'Gain (dB)',
+					default: 0,
+					min: -120,
+					max: 10,
+					step: 0.5,
+					range: true,
+				},
+			],
+			callback: (action) => {
+				const gain = Number(action.options.gain)
+				const changes = []
+				for (let o = 1; o <= NUM_OUTPUTS; o++) {
+					for (let i = 1; i <= NUM_INPUTS; i++) changes.push([i, o, i === o ? gain : -120])
+				}
+				self.setMatrixGains(changes)
+			},
+		},
+		group_set_gain: {
+			name: 'Group: set gain',
+			description:
+				'Output groups: output gain. Input groups: matrix gain on the selected output. The first member gets the level; the others keep their offset to it.',
+			options: [
+				groupOption,
+				{
+					type: 'dropdown',
+					id: 'output',
+					label: 'Output (input groups)',
+					default: 1,
+					choices: outputChoices,
+				},
+				{
+					type: 'number',
+					id: 'gain',
+					label: 'Gain (dB)',
+					default: 0,
+					min: -120,
+					max: 10,
+					step: 0.5,
+					range: true,
+				},
+			],
+			callback: (action) => {
+				const group = groupFromOptions(action.options)
+				if (!group) return
+				const outIdx = parseInt(action.options.output, 10) || 1
+				self.setGroupValues(group, 'gain', outIdx, { target: Number(action.options.gain) || 0 })
+			},
+		},
+		group_step_gain: {
+			name: 'Group: step gain',
+			description: 'Steps every member by the same amount, so relative offsets are kept',
+			options: [
+				groupOption,
+				{
+					type: 'dropdown',
+					id: 'output',
+					label: 'Output (input groups)',
+					default: 1,
+					choices: outputChoices,
+				},
+				{
+					type: 'number',
+					id: 'step',
+					label: 'Step (dB)',
+					default: 3,
+					min: -120,
+					max: 120,
+					step: 0.5,
+					tooltip: 'Positive = add dB, negative = subtract dB.',
+				},
+			],
+			callback: (action) => {
+				const group = groupFromOptions(action.options)
+				if (!group) return
+				const outIdx = parseInt(action.options.output, 10) || 1
+				self.setGroupValues(group, 'gain', outIdx, { step: Number(action.options.step) || 0 })
+			},
+		},
+		group_set_trim: {
+			name: 'Group: set trim (input groups)',
+			description: 'The first member gets the trim; the others keep their offset to it',
+			options: [
+				groupOption,
+				{
+					type: 'number',
+					id: 'trim',
+					label: 'Trim (dB)',
+					default: 0,
+					min: TRIM_MIN,
+					max: TRIM_MAX,
+					step: 0.5,
+					range: true,
+				},
+			],
+			callback: (action) => {
+				const group = groupFromOptions(action.options)
+				if (!group) return
+				self.setGroupValues(group, 'trim', 0, { target: Number(action.options.trim) || 0 })
+			},
+		},
+		group_step_trim: {
+			name: 'Group: step trim (input groups)',
+			options: [
+				groupOption,
+				{
+					type: 'number',
+					id: 'step',
+					label: 'Step (dB)',
+					default: 1,
+					min: TRIM_MIN - TRIM_MAX,
+					max: TRIM_MAX - TRIM_MIN,
+					step: 0.5,
+					tooltip: 'Positive = add dB, negative = subtract dB.',
+				},
+			],
+			callback: (action) => {
+				const group = groupFromOptions(action.options)
+				if (!group) return
+				self.setGroupValues(group, 'trim', 0, { step: Number(action.options.step) || 0 })
+			},
+		},
+		group_set_mute: {
+			name: 'Group: set mute',
+			description: 'Toggle mutes every member unless all are already muted',
+			options: [
+				groupOption,
+				{
+					type: 'dropdown',
+					id: 'mute',
+					label: 'Mute',
+					default: 'toggle',
+					choices: [
+						{ id: false, label: 'Unmute' },
+						{ id: true, label: 'Mute' },
+						{ id: 'toggle', label: 'Toggle' },
+					],
+				},
+			],
+			callback: (action) => {
+				const group = groupFromOptions(action.options)
+				if (!group) return
+				let mute = action.options.mute === true || action.options.mute === 'true'
+				if (action.options.mute === 'toggle') mute = self.groupMuteState(group) !== 'all'
+				self.setGroupMute(group, mute)
+			},
+		},
+		snapshot_store: {
+			name: 'Snapshot: store current state',
+			description: 'Stores matrix gains, output gains, mutes and trims under a name (overwrites an existing snapshot)',
+			options: [{ type: 'textinput', id: 'name', label: 'Snapshot name', default: 'Snapshot 1', useVariables: true }],
+			callback: async (action, context) => {
+				const name = (await context.parseVariablesInString(action.options.name || '')).trim()
+				if (!name) {
+					self.log('warn', 'Snapshot name is required')
+					return
+				}
+				self.storeSnapshot(name)
+			},
+		},
+		snapshot_recall: {
+			name: 'Snapshot: recall',
+			description: 'Sends only the parameters that differ from the current state',
+			options: [
+				{
+					type: 'dropdown',
+					id: 'name',
+					label: 'Snapshot',
+					default: snapshotChoices.length > 0 ? snapshotChoices[0].id : '',
+					choices: snapshotChoices,
+					allowCustom: true,
+				},
+			],
+			callback: (action) => {
+				self.recallSnapshot(String(action.options.name || ''))
+			},
+		},
+		snapshot_delete: {
+			name: 'Snapshot: delete',
+			options: [
+				{
+					type: 'dropdown',
+					id: 'name',
+					label: 'Snapshot',
+					default: snapshotChoices.length > 0 ? snapshotChoices[0].id : '',
+					choices: snapshotChoices,
+					allowCustom: true,
+				},
+			],
+			callback: (action) => {
+				self.deleteSnapshot(String(action.options.name || ''))
+			},
+		},
+	}
+
+	// Panel lock: only these actions still run; everything else is refused before it sends anything.
+	// Changes made by one action form one undo step.
+	const allowedWhenLocked = ['panel_lock', 'refresh_sync', 'clear_confirm_warnings', 'cancel_fades']
+	for (const [actionId, definition] of Object.entries(definitions)) {
+		const callback = definition.callback
+		definition.callback = async (action, context) => {
+			if (self.config.panelLocked === true && !allowedWhenLocked.includes(actionId)) {
+				self.log('warn', `Panel locked: "${definition.name}" ignored`)
+				return
+			}
+			const group = self.beginHistoryGroup(definition.name)
+			try {
+				return await callback(action, context)
+			} finally {
+				self.endHistoryGroup(group)
+			}
+		}
+	}
+	self.setActionDefinitions(definitions)
 }
@@ -0,0 +1,63 @@
+/**
+ * Shared DBT-44 parameter tables used by actions, feedbacks and variables.
+ */
+
+/** Input trim range (dB) */
+const TRIM_MIN = -20
+const TRIM_MAX = 20
+
+/** Parametric EQ points per channel (OSC /eq/<param>/<input|output>/<n>/<pt>) */
+const EQ_BANDS = 4
+
+/** EQ parameter ranges */
+const EQ_GAIN_MIN = -15
+const EQ_GAIN_MAX = 15
+const EQ_FREQ_MIN = 20
+const EQ_FREQ_MAX = 20000
+const EQ_Q_MIN = 0.1
+const EQ_Q_MAX = 10
+
+/** EQ filter types, sent as integer on /eq/type */
+const EQ_FILTER_TYPES = [
+	{ id: 0, label: 'Peaking' },
+	{ id: 1, label: 'Low shelf' },
+	{ id: 2, label: 'High shelf' },
+	{ id: 3, label: 'Low pass' },
+	{ id: 4, label: 'High pass' },
+	{ id: 5, label: 'Notch' },
+]
+
+/** Human-readable EQ parameter names (second segment of eq_<param>_... variables) */
+const EQ_PARAM_LABELS = {
+	gain: 'EQ gain',
+	freq: 'EQ frequency',
+	q: 'EQ Q',
+	type: 'EQ type',
+}
+
+/**
+ * Compressor parameters (OSC /comp/<param>/<input|output>/<n>), with unit and range.
+ * Enable/bypass is the boolean /comp/enable/... parameter.
+ */
+const COMP_PARAMS = {
+	threshold: { label: 'Threshold', unit: 'dB', min: -60, max: 0, step: 0.5, default: -20 },
+	ratio: { label: 'Ratio', unit: ':1', min: 1, max: 20, step: 0.1, default: 4 },
+	attack: { label: 'Attack', unit: 'ms', min: 0.1, max: 200, step: 0.1, default: 10 },
+	release: { label: 'Release', unit: 'ms', min: 5, max: 2000, step: 1, default: 100 },
+	makeup: { label: 'Makeup gain', unit: 'dB', min: 0, max: 24, step: 0.5, default: 0 },
+}
+
+module.exports = {
+	TRIM_MIN,
+	TRIM_MAX,
+	EQ_BANDS,
+	EQ_GAIN_MIN,
+	EQ_GAIN_MAX,
+	EQ_FREQ_MIN,
+	EQ_FREQ_MAX,
+	EQ_Q_MIN,
+	EQ_Q_MAX,
+	EQ_FILTER_TYPES,
+	EQ_PARAM_LABELS,
+	COMP_PARAMS,
+}
@@ -1,21 +1,13 @@
-const NUM_INPUTS = 8
-const NUM_OUTPUTS = 8
-
 module.exports = function (self) {
-	const inputChoices = Array.from({ length: NUM_INPUTS }, (_, i) => {
-		const n = i + 1
-		const num = n <= 4 ? n : n - 4
-		const type = n <= 4 ? 'Analog in' : 'Dante in'
-		return { id: n, label: `${type} ${num}` }
-	})
-	const outputChoices = Array.from({ length: NUM_OUTPUTS }, (_, i) => {
-		const n = i + 1
-		const num = n <= 4 ? n : n - 4
-		const type = n <= 4 ? 'Analog out' : 'Dante out'
-		return { id: n, label: `${type} ${num}` }
-	})
+	const inputChoices = self.channelChoices('input')
+	const outputChoices = self.channelChoices('output')
+
+	const groupChoices = self.getGroups().map((g) => ({ id: g.name, label: `${g.name} (${g.type}s)` }))
+	const snapshotChoices = Object.keys(self.getSnapshots()).map((name) => ({ id: name, label: name }))
 
-	self.setFeedbackDefinitions({
+	const channelOptions = self.channelOptions()
+
+	const definitions = {
 		input_muted: {
 			type: 'boolean',
 			name: 'Input muted',
@@ -28,9 +20,7 @@ module.exports = function (self) {
 			},
 			callback: (feedback) => {
 				const inIdx = parseInt(feedback.options.input, 10) || 1
-				const v = self.syncState[`mute_input_${inIdx}`]
-				const num = parseFloat(v)
-				return !isNaN(num) ? num !== 0 : v === '1' || v === 1 || v === true || v === 'true'
+				return self.isFlagOn(`mute_input_${inIdx}`)
 			},
 		},
 		output_muted: {
@@ -45,9 +35,7 @@ module.exports = function (self) {
 			},
 			callback: (feedback) => {
 				const outIdx = parseInt(feedback.options.output, 10) || 1
-				const v = self.syncState[`mute_output_${outIdx}`]
-				const num = parseFloat(v)
-				return !isNaN(num) ? num !== 0 : v === '1' || v === 1 || v === true || v === 'true'
+				return self.isFlagOn(`mute_output_${outIdx}`)
 			},
 		},
 		matrix_point_muted: {
@@ -73,5 +61,236 @@ module.exports = function (self) {
 				return !isNaN(num) && num <= -120
 			},
 		},
-	})
+		input_trim_active: {
+			type: 'boolean',
+			name: 'Input trim not at 0 dB',
+			description: 'True when the selected input has a trim other than 0 dB',
+			options: [{ type: 'dropdown', id: 'input', label: 'Input', default: 1, choices: inputChoices }],
+			defaultStyle: {
+				bgcolor: 0xff8000,
+				color: 0x000000,
+			},
+			callback: (feedback) => {
+				const inIdx = parseInt(feedback.options.input, 10) || 1
+				const num = parseFloat(self.syncState[`trim_${inIdx}`])
+				return !isNaN(num) && num !== 0
+			},
+		},
+		input_phase_inverted: {
+			type: 'boolean',
+			name: 'Input polarity inverted',
+			description: 'True when the polarity (phase) of the selected input is inverted',
+			options: [{ type: 'dropdown', id: 'input', label: 'Input', default: 1, choices: inputChoices }],
+			defaultStyle: {
+				bgcolor: 0x0060ff,
+				color: 0xffffff,
+				text: 'Ø',
+			},
+			callback: (feedback) => {
+				const inIdx = parseInt(feedback.options.input, 10) || 1
+				return self.isFlagOn(`phase_input_${inIdx}`)
+			},
+		},
+		output_phase_inverted: {
+			type: 'boolean',
+			name: 'Output polarity inverted',
+			description: 'True when the polarity (phase) of the selected output is inverted',
+			options: [{ type: 'dropdown', id: 'output', label: 'Output', default: 1, choices: outputChoices }],
+			defaultStyle: {
+				bgcolor: 0x0060ff,
+				color: 0xffffff,
+				text: 'Ø',
+			},
+			callback: (feedback) => {
+				const outIdx = parseInt(feedback.options.output, 10) || 1
+				return self.isFlagOn(`phase_output_${outIdx}`)
+			},
+		},
+		eq_active: {
+			type: 'boolean',
+			name: 'EQ active',
+			description: 'True when the EQ of the selected input or output is enabled (not bypassed)',
+			options: channelOptions,
+			defaultStyle: {
+				bgcolor: 0x009900,
+				color: 0xffffff,
+			},
+			callback: (feedback) => {
+				const type = feedback.options.channel_type === 'output' ? 'output' : 'input'
+				const idx = parseInt(feedback.options[type], 10) || 1
+				return self.isFlagOn(`eqenable_${type}_${idx}`)
+			},
+		},
+		comp_engaged: {
+			type: 'boolean',
+			name: 'Compressor engaged',
+			description: 'True when the compressor of the selected input or output is enabled (not bypassed)',
+			options: channelOptions,
+			defaultStyle: {
+				bgcolor: 0xcc6600,
+				color: 0xffffff,
+			},
+			callback: (feedback) => {
+				const type = feedback.options.channel_type === 'output' ? 'output' : 'input'
+				const idx = parseInt(feedback.options[type], 10) || 1
+				return self.isFlagOn(`comp_enable_${type}_${idx}`)
+			},
+		},
+		input_routed: {
+			type: 'boolean',
+			name: 'Input routed to output',
+			description: 'True when the matrix gain from the input to the output is above the threshold',
+			options: [
+				{ type: 'dropdown', id: 'input', label: 'Input', default: 1, choices: inputChoices },
+				{ type: 'dropdown', id: 'output', label: 'Output', default: 1, choices: outputChoices },
+				{ type: 'number', id: 'threshold', label: 'Threshold (dB)', default: -60, min: -120, max: 10, step: 0.5 },
+			],
+			defaultStyle: {
+				bgcolor: 0x009900,
+				color: 0xffffff,
+			},
+			callback: (feedback) => {
+				const inIdx = parseInt(feedback.options.input, 10) || 1
+				const outIdx = parseInt(feedback.options.output, 10) || 1
+				const num = parseFloat(self.syncState[`gain_input_${inIdx}_${outIdx}`])
+				const threshold = Number(feedback.options.threshold)
+				return !isNaN(num) && num > (Number.isFinite(threshold) ? threshold : -60)
+			},
+		},
+		input_soloed: {
+			type: 'boolean',
+			name: 'Input soloed on output',
+			description: 'True while the input is soloed on the output',
+			options: [
+				{ type: 'dropdown', id: 'input', label: 'Input', default: 1, choices: inputChoices },
+				{ type: 'dropdown', id: 'output', label: 'Output', default: 1, choices: outputChoices },
+			],
+			defaultStyle: {
+				bgcolor: 0xffcc00,
+				color: 0x000000,
+			},
+			callback: (feedback) => {
+				const solo = self.getSolos()[parseInt(feedback.options.output, 10) || 1]
+				return !!solo && solo.input === (parseInt(feedback.options.input, 10) || 1)
+			},
+		},
+		group_mute_state: {
+			type: 'boolean',
+			name: 'Group mute state',
+			description: 'True when the group members are all muted, partly muted or none muted (as selected)',
+			options: [
+				{
+					type: 'dropdown',
+					id: 'group',
+					label: 'Group',
+					default: groupChoices.length > 0 ? groupChoices[0].id : '',
+					choices: groupChoices,
+					allowCustom: true,
+				},
+				{
+					type: 'dropdown',
+					id: 'state',
+					label: 'State',
+					default: 'all',
+					choices: [
+						{ id: 'all', label: 'All muted' },
+						{ id: 'partial', label: 'Partly muted' },
+						{ id: 'none', label: 'None muted' },
+					],
+				},
+			],
+			defaultStyle: {
+				bgcolor: 0xff0000,
+				color: 0xffffff,
+			},
+			callback: (feedback) => {
+				const group = self.getGroup(String(feedback.options.group || ''))
+				return !!group && self.groupMuteState(group) === feedback.options.state
+			},
+		},
+		snapshot_matched: {
+			type: 'boolean',
+			name: 'Snapshot matches current state',
+			description: 'True when every parameter stored in the snapshot matches the current device state',
+			options: [
+				{
+					type: 'dropdown',
+					id: 'name',
+					label: 'Snapshot',
+					default: snapshotChoices.length > 0 ? snapshotChoices[0].id : '',
+					choices: snapshotChoices,
+					allowCustom: true,
+				},
+			],
+			defaultStyle: {
+				bgcolor: 0x009900,
+				color: 0xffffff,
+			},
+			callback: (feedback) => self.isSnapshotMatched(String(feedback.options.name || '')),
+		},
+		device_offline: {
+			type: 'boolean',
+			name: 'Device offline',
+			description: 'True while the device is not replying to pings',
+			options: [],
+			defaultStyle: {
+				bgcolor: 0xff0000,
+				color: 0xffffff,
+				text: 'OFFLINE',
+			},
+			callback: () => !self.connected,
+		},
+		panel_locked: {
+			type: 'boolean',
+			name: 'Panel locked',
+			description: 'True while the panel lock is on',
+			options: [],
+			defaultStyle: {
+				bgcolor: 0xcc0000,
+				color: 0xffffff,
+				text: 'LOCKED',
+			},
+			callback: () => self.config.panelLocked === true,
+		},
+		confirm_mismatch: {
+			type: 'boolean',
+			name: 'Confirm failed',
+			description:
+				'Confirm mode: true while a change was not applied as sent (device replied with another value, or did not reply)',
+			options: [],
+			defaultStyle: {
+				bgcolor: 0xff8000,
+				color: 0x000000,
+			},
+			callback: () => Object.keys(self.confirmMismatches).length > 0,
+		},
+	}
+
+	/** Variable ids each feedback reads; polled with priority while the feedback is in use (polling mode) */
+	const channelKey = (prefix, options) => {
+		const type = options.channel_type === 'output' ? 'output' : 'input'
+		return `${prefix}_${type}_${parseInt(options[type], 10) || 1}`
+	}
+	const pollKeys = {
+		input_muted: (o) => [`mute_input_${parseInt(o.input, 10) || 1}`],
+		output_muted: (o) => [`mute_output_${parseInt(o.output, 10) || 1}`],
+		matrix_point_muted: (o) => [`gain_input_${parseInt(o.input, 10) || 1}_${parseInt(o.output, 10) || 1}`],
+		input_trim_active: (o) => [`trim_${parseInt(o.input, 10) || 1}`],
+		input_phase_inverted: (o) => [`phase_input_${parseInt(o.input, 10) || 1}`],
+		output_phase_inverted: (o) => [`phase_output_${parseInt(o.output, 10) || 1}`],
+		eq_active: (o) => [channelKey('eqenable', o)],
+		comp_engaged: (o) => [channelKey('comp_enable', o)],
+		input_routed: (o) => [`gain_input_${parseInt(o.input, 10) || 1}_${parseInt(o.output, 10) || 1}`],
+		group_mute_state: (o) => {
+			const group = self.getGroup(String(o.group || ''))
+			return group ? group.members.map((idx) => `mute_${group.type}_${idx}`) : []
+		},
+		snapshot_matched: (o) => Object.keys(self.getSnapshots()[String(o.name || '')] || {}),
+	}
+	for (const [feedbackId, keysFor] of Object.entries(pollKeys)) {
+		definitions[feedbackId].subscribe = (feedback) => self.watchPollKeys(feedback.id, keysFor(feedback.options))
+		definitions[feedbackId].unsubscribe = (feedback) => self.unwatchPollKeys(feedback.id)
+	}
+
+	self.setFeedbackDefinitions(definitions)
 }
@@ -1,13 +1,14 @@
 const { InstanceBase, Regex, runEntrypoint } = require('@companion-module/base')
-const dgram = require('dgram')
 const dns = require('dns')
 const osc = require('osc')
+const { parseDatagram } = require('./osc-parse')
 
 const UpgradeScripts = require('./upgrades')
 const UpdatePresets = require('./presets')
 const UpdateActions = require('./actions')
 const UpdateFeedbacks = require('./feedbacks')
 const UpdateVariables = require('./variables')
+const { TRIM_MIN, TRIM_MAX, EQ_BANDS, EQ_FILTER_TYPES, EQ_PARAM_LABELS, COMP_PARAMS } = require('./constants')
 
 /**
  * DBT-44 OSC protocol:
@@ -22,19 +23,113 @@ const OSC_PATH_PING = '/ping'
 const OSC_PATH_SYNC = '/sync'
 /** Periodic ping to confirm device is reachable (OSC echo). */
 const PING_INTERVAL_MS = 30000
+/** Encoder gain step (dB per detent) and the turn intervals that trigger acceleration */
+const DEFAULT_ENCODER_STEP = 1
+const ENCODER_FAST_MS = 60
+const ENCODER_MEDIUM_MS = 150
+const CHANNEL_TYPE_CHOICES = [
+	{ id: 'input', label: 'Input' },
+	{ id: 'output', label: 'Output' },
+]
+/** Default channel groups (stereo pairs and all Dante outputs) */
+const DEFAULT_GROUPS =
+	'Analog in 1/2: in1, in2; Dante in 1/2: in5, in6; Analog out 1/2: out1, out2; Dante outs: out5-out8'
+/** Outgoing OSC queue: coalescing window per path and maximum send rate */
+const DEFAULT_SEND_WINDOW_MS = 20
+const DEFAULT_MAX_SEND_RATE = 50
+/** Polling mode: default number of "get" requests per second */
+const DEFAULT_POLL_RATE = 20
+/** Default number of unanswered pings before the device is reported offline */
+const DEFAULT_MISSED_PINGS = 3
+/** Interval between intermediate OSC steps while a gain fade is running */
+const FADE_STEP_MS = 50
+/** Undo history: number of changes (or grouped bulk changes) kept */
+const HISTORY_SIZE = 50
+/** Feedbacks that show device parameter state, re-checked after a sync batch or an undo */
+const STATE_FEEDBACKS = [
+	'input_muted',
+	'output_muted',
+	'matrix_point_muted',
+	'input_trim_active',
+	'input_phase_inverted',
+	'output_phase_inverted',
+	'eq_active',
+	'comp_engaged',
+	'input_routed',
+	'group_mute_state',
+]
+/** Confirm mode: time to wait for the reply to a read-back get */
+const CONFIRM_TIMEOUT_MS = 1000
+/** Parameters captured by module-side snapshots */
+const SNAPSHOT_PARAM_PATTERN = /^(gain_input_\d+_\d+|gain_output_\d+|mute_(input|output)_\d+|trim_\d+)$/
+/** Gain floor: -120 dB is treated as muted / -inf */
+const GAIN_MIN = -120
 
 /** DBT-44: 8 inputs (1–4 Analog, 5–8 Dante), 8 outputs (1–4 Analog, 5–8 Dante) */
 const NUM_INPUTS = 8
 const NUM_OUTPUTS = 8
 
+/** Speed of sound used for distance-based output delay (m/s, ~20 °C) */
+const SPEED_OF_SOUND_M_S = 343
+const FEET_PER_METRE = 3.28084
+
 class SynqDbt44Instance extends InstanceBase {
 	constructor(internal) {
 		super(internal)
-		this.receiveBuffer = Buffer.alloc(0)
+		/** Receive counters, exposed as variables */
+		this.rxStats = { messages: 0, malformed: 0 }
 		this.syncState = {}
-		this.syncVariableDefs = []
-		/** Saved gain per matrix point (input_output) when muted to -120, for restore on toggle */
-		this.savedMatrixGain = {}
+		/** Unrounded numeric values as received or sent (syncState keeps one decimal), for exact restores */
+		this.rawValues = {}
+		/** Variable ids defined for device parameters (known set + any new path seen) */
+		this.syncVariableIds = new Set()
+		/** Every known DBT-44 parameter id, to recognise this device's messages arriving from other addresses */
+		this.knownParameters = new Set(this.knownParameterIds())
+		/** A new id was added since the last setVariableDefinitions */
+		this.variableDefsDirty = false
+		/** A matrix gain was stored since the last applySyncVariables, so input_routed needs a re-check */
+		this.routingDirty = false
+		/** Last values pushed to Companion, so only changes are sent */
+		this.variableValues = {}
+		/** Running gain fades, keyed by variable id (e.g. gain_output_1) */
+		this.fades = {}
+		/** Outgoing OSC waiting to be sent, latest args per path (Map keeps first-queued order) */
+		this.sendQueue = new Map()
+		this.sendTimer = null
+		this.nextSendAt = 0
+		/** Time of the last encoder turn per gain and direction, for acceleration */
+		this.encoderLastTurn = {}
+		/** Polling mode: variable ids referenced by active feedbacks, keyed by feedback instance id */
+		this.pollWatches = {}
+		this.pollList = []
+		this.pollIndex = 0
+		this.pollPriorityIndex = 0
+		this.pollTick = 0
+		/** Parsed channel groups and the config text they came from */
+		this.groupCache = null
+		/** Confirm mode: sets waiting for their read-back, keyed by full OSC path */
+		this.pendingConfirms = {}
+		/** Unresolved confirm failures, keyed by variable id: text shown in confirm_last_mismatch */
+		this.confirmMismatches = {}
+		this.lastConfirmMismatch = ''
+		/** Undo history of module-originated changes: [{ label, time, changes: [{ variableId, before, after }] }] */
+		this.historyUndo = []
+		this.historyRedo = []
+		/** Entry collecting the changes of the running action, so a bulk action undoes in one step */
+		this.historyGroup = null
+		/** historyUndo length when the mark was set */
+		this.historyMark = null
+		this.historySuppressed = false
+		this.resetConnectionState()
+	}
+
+	/** Reachability tracking, driven by ping echoes and any other reply from the device */
+	resetConnectionState() {
+		this.connected = false
+		this.lastSeen = null
+		this.pingSentAt = null
+		this.pingRtt = null
+		this.missedPings = 0
 	}
 
 	/** Build OSC path: /<path>/<device_name> per DBT-44 API */
@@ -50,6 +145,7 @@ class SynqDbt44Instance extends InstanceBase {
 		this.targetHost = null
 		this.socket = null
 		this.pingTimer = null
+		this.pollTimer = null
 
 		if (!this.config.host || !this.config.targetPort || !this.config.feedbackPort) {
 			this.log('error', 'Host, target port and feedback port are required')
@@ -92,8 +188,9 @@ class SynqDbt44Instance extends InstanceBase {
 		}
 
 		this.updateStatus('connecting')
-		this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true })
-		this.receiveBuffer = Buffer.alloc(0)
+		// Companion's shared UDP socket lets several DBT-44 instances listen on the same feedback port.
+		// Every instance receives every datagram; handleOscMessage keeps only those for this device.
+		this.socket = this.createSharedUdpSocket('udp4')
 
 		this.socket.on('error', (err) => {
 			this.log('error', `Socket error: ${err.message}`)
@@ -102,21 +199,21 @@ class SynqDbt44Instance extends InstanceBase {
 
 		this.socket.on('message', (msg, rinfo) => {
 			this.log('debug', `Received UDP ${msg.length} bytes from ${rinfo.address}:${rinfo.port}`)
-			this.updateStatus('ok', (this.config.device_name || '').trim() || 'Connected')
-			this.receiveBuffer = Buffer.concat([this.receiveBuffer, msg])
-			this.parseOscIncoming()
+			this.handleDatagram(msg, rinfo)
 		})
 
-		this.socket.bind({ address: '0.0.0.0', port: this.config.feedbackPort }, () => {
+		this.socket.bind(Number(this.config.feedbackPort), '0.0.0.0', () => {
 			this.log('info', `Listening for OSC on port ${this.config.feedbackPort}`)
 			this.updateActions()
 			this.updateFeedbacks()
+			this.defineKnownVariables()
 			this.updateVariables()
-			this.setVariableValues({ device_name: (this.config.device_name || '').trim() })
-			this.updateStatus('ok', (this.config.device_name || '').trim() || 'Ready')
-			setTimeout(() => this.sendSync(), 1000)
+			this.updateStatus('connecting', 'Waiting for reply')
+			// The first reply marks the device connected and triggers /sync
+			this.sendPing()
 			if (this.pingTimer) clearInterval(this.pingTimer)
 			this.pingTimer = setInterval(() => this.sendPing(), PING_INTERVAL_MS)
+			this.startPolling()
 		})
 	}
 
@@ -132,7 +229,7 @@ class SynqDbt44Instance extends InstanceBase {
 	}
 
 	/** Channel 1–4 = Analog 1–4, 5–8 = Dante 1–4. Returns e.g. "Analog in 2", "Dante out 1". */
-	channelLabel(chNum, type) {
+	defaultChannelLabel(chNum, type) {
 		const n = parseInt(chNum, 10) || 1
 		const kind = n <= 4 ? 'Analog' : 'Dante'
 		const num = n <= 4 ? n : n - 4
@@ -140,6 +237,72 @@ class SynqDbt44Instance extends InstanceBase {
 		return `${kind} ${inOut} ${num}`
 	}
 
+	/** User-defined name from config (e.g. "Lectern mic"), or the default label */
+	channelLabel(chNum, type) {
+		const n = parseInt(chNum, 10) || 1
+		const name = String(this.config[`name_${type === 'input' ? 'input' : 'output'}_${n}`] || '').trim()
+		return name || this.defaultChannelLabel(n, type)
+	}
+
+	/** Dropdown choices for every input or output, e.g. "Lectern mic (Analog in 1)" */
+	channelChoices(type) {
+		const count = type === 'input' ? NUM_INPUTS : NUM_OUTPUTS
+		return Array.from({ length: count }, (_, i) => {
+			const label = this.channelLabel(i + 1, type)
+			const defaultLabel = this.defaultChannelLabel(i + 1, type)
+			return { id: i + 1, label: label === defaultLabel ? label : `${label} (${defaultLabel})` }
+		})
+	}
+
+	/** Input/output selector for actions and feedbacks that work on either channel type */
+	channelOptions() {
+		return [
+			{ type: 'dropdown', id: 'channel_type', label: 'Channel', default: 'input', choices: CHANNEL_TYPE_CHOICES },
+			{
+				type: 'dropdown',
+				id: 'input',
+				label: 'Input',
+				default: 1,
+				choices: this.channelChoices('input'),
+				isVisible: (options) => options.channel_type !== 'output',
+			},
+			{
+				type: 'dropdown',
+				id: 'output',
+				label: 'Output',
+				default: 1,
+				choices: this.channelChoices('output'),
+				isVisible: (options) => options.channel_type === 'output',
+			},
+		]
+	}
+
+	/** output_<n>_sources (inputs above -inf on that output) and muted channel counts */
+	routingVariableValues() {
+		const values = {}
+		for (let outIdx = 1; outIdx <= NUM_OUTPUTS; outIdx++) {
+			const sources = []
+			for (let inIdx = 1; inIdx <= NUM_INPUTS; inIdx++) {
+				const gain = parseFloat(this.syncState[`gain_input_${inIdx}_${outIdx}`])
+				if (!isNaN(gain) && gain > GAIN_MIN) sources.push(this.channelLabel(inIdx, 'input'))
+			}
+			values[`output_${outIdx}_sources`] = sources.length > 0 ? sources.join(', ') : 'None'
+		}
+		const mutedCount = (type, count) =>
+			Array.from({ length: count }, (_, i) => this.syncState[`mute_${type}_${i + 1}`]).filter((v) => v === '1').length
+		values.inputs_muted_count = mutedCount('input', NUM_INPUTS)
+		values.outputs_muted_count = mutedCount('output', NUM_OUTPUTS)
+		return values
+	}
+
+	/** input_<n>_name / output_<n>_name variable values */
+	channelNameVariableValues() {
+		const values = {}
+		for (let n = 1; n <= NUM_INPUTS; n++) values[`input_${n}_name`] = this.channelLabel(n, 'input')
+		for (let n = 1; n <= NUM_OUTPUTS; n++) values[`output_${n}_name`] = this.channelLabel(n, 'output')
+		return values
+	}
+
 	/** Human-readable name for a sync variable */
 	variableIdToName(variableId) {
 		try {
@@ -150,11 +313,12 @@ class SynqDbt44Instance extends InstanceBase {
 		try {
 			const parts = variableId.split('_')
 			const first = parts[0]
+			const db = parts[parts.length - 1] === 'db' ? ' (dB text)' : ''
 			if (first === 'gain' && parts[1] === 'input' && parts[2] !== undefined && parts[3] !== undefined) {
-				return `Gain: ${this.channelLabel(parts[2], 'input')} -> ${this.channelLabel(parts[3], 'output')}`
+				return `Gain${db}: ${this.channelLabel(parts[2], 'input')} -> ${this.channelLabel(parts[3], 'output')}`
 			}
 			if (first === 'gain' && parts[1] === 'output' && parts[2] !== undefined) {
-				return `Gain: ${this.channelLabel(parts[2], 'output')}`
+				return `Gain${db}: ${this.channelLabel(parts[2], 'output')}`
 			}
 			if (first === 'mute' && parts[1] === 'input' && parts[2] !== undefined) {
 				return `Mute: ${this.channelLabel(parts[2], 'input')}`
@@ -163,10 +327,11 @@ class SynqDbt44Instance extends InstanceBase {
 				return `Mute: ${this.channelLabel(parts[2], 'output')}`
 			}
 			if (first === 'trim' && parts[1] !== undefined) {
-				return `Trim: ${this.channelLabel(parts[1], 'input')}`
+				return `Trim${db}: ${this.channelLabel(parts[1], 'input')}`
 			}
 			if (first === 'delay' && parts[1] !== undefined) {
-				return `Delay: ${this.channelLabel(parts[1], 'output')}`
+				const unit = parts[2] !== undefined ? ` (${parts[2]})` : ''
+				return `Delay${unit}: ${this.channelLabel(parts[1], 'output')}`
 			}
 			if (first === 'phase' && parts[1] === 'input' && parts[2] !== undefined) {
 				return `Phase: ${this.channelLabel(parts[2], 'input')}`
@@ -181,20 +346,28 @@ class SynqDbt44Instance extends InstanceBase {
 				return `EQ enable: ${this.channelLabel(parts[2], 'output')}`
 			}
 			if (first === 'comp' && parts[1] !== undefined && parts[2] === 'input' && parts[3] !== undefined) {
-				const sub = parts[1].charAt(0).toUpperCase() + parts[1].slice(1)
-				return `Comp ${sub}: ${this.channelLabel(parts[3], 'input')}`
+				const sub = COMP_PARAMS[parts[1]]
+					? COMP_PARAMS[parts[1]].label
+					: parts[1].charAt(0).toUpperCase() + parts[1].slice(1)
+				const suffix = parts[4] === 'text' ? ' (text)' : ''
+				return `Comp ${sub}${suffix}: ${this.channelLabel(parts[3], 'input')}`
 			}
 			if (first === 'comp' && parts[1] !== undefined && parts[2] === 'output' && parts[3] !== undefined) {
-				const sub = parts[1].charAt(0).toUpperCase() + parts[1].slice(1)
-				return `Comp ${sub}: ${this.channelLabel(parts[3], 'output')}`
+				const sub = COMP_PARAMS[parts[1]]
+					? COMP_PARAMS[parts[1]].label
+					: parts[1].charAt(0).toUpperCase() + parts[1].slice(1)
+				const suffix = parts[4] === 'text' ? ' (text)' : ''
+				return `Comp ${sub}${suffix}: ${this.channelLabel(parts[3], 'output')}`
 			}
-			if (first === 'eq' && parts[1] === 'gain' && parts[2] === 'input' && parts[3] !== undefined) {
+			if (
+				first === 'eq' &&
+				EQ_PARAM_LABELS[parts[1]] &&
+				(parts[2] === 'input' || parts[2] === 'output') &&
+				parts[3] !== undefined
+			) {
 				const pt = parts[4] !== undefined ? ` (pt ${parts[4]})` : ''
-				return `EQ gain: ${this.channelLabel(parts[3], 'input')}${pt}`
-			}
-			if (first === 'eq' && parts[1] === 'gain' && parts[2] === 'output' && parts[3] !== undefined) {
-				const pt = parts[4] !== undefined ? ` (pt ${parts[4]})` : ''
-				return `EQ gain: ${this.channelLabel(parts[3], 'output')}${pt}`
+				const suffix = parts[5] === 'name' ? ' name' : ''
+				return `${EQ_PARAM_LABELS[parts[1]]}${suffix}: ${this.channelLabel(parts[3], parts[2])}${pt}`
 			}
 			return variableId.replace(/_/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase())
 		} catch (err) {
@@ -203,51 +376,717 @@ class SynqDbt44Instance extends InstanceBase {
 		}
 	}
 
-	/** Format a value for display: booleans/integers as '1'/'0', other numbers with one decimal. */
-	formatSyncValue(value) {
+	/** On/off parameters (mute, phase, EQ and compressor enable), sent as OSC T/F */
+	isFlagParam(variableId) {
+		return /^(mute|phase|eqenable)_/.test(variableId) || /^comp_enable_/.test(variableId)
+	}
+
+	/** True when an on/off sync value (mute, phase, EQ or compressor enable) is on */
+	isFlagOn(variableId) {
+		const v = this.syncState[variableId]
+		const num = parseFloat(v)
+		return !isNaN(num) ? num !== 0 : v === '1' || v === 1 || v === true || v === 'true'
+	}
+
+	/** Sync value as stored: "1"/"0" for on/off parameters, integers for EQ filter types, one decimal otherwise */
+	formatSyncValue(value, variableId = '') {
 		if (value === true) return '1'
 		if (value === false) return '0'
 		const num = Number(value)
 		if (Number.isFinite(num)) {
-			if (num === 0 || num === 1) return String(num)
-			const rounded = Math.round(num * 10) / 10
-			return rounded.toFixed(1)
+			if (this.isFlagParam(variableId)) return num !== 0 ? '1' : '0'
+			if (/^eq_type_/.test(variableId)) return String(Math.round(num))
+			return (Math.round(num * 10) / 10).toFixed(1)
 		}
 		return String(value)
 	}
 
+	/** Level for display: "+1.0 dB", "-6.5 dB", "-inf" at or below the gain floor */
+	formatDb(value, floor = GAIN_MIN) {
+		const num = Number(value)
+		if (!Number.isFinite(num)) return ''
+		if (floor !== null && num <= floor) return '-inf'
+		const rounded = Math.round(num * 10) / 10
+		return `${rounded > 0 ? '+' : ''}${rounded.toFixed(1)} dB`
+	}
+
 	/** Store one sync value (call applySyncVariables after a batch) */
 	storeSyncValue(variableId, value) {
 		if (!variableId) return
-		this.syncState[variableId] = this.formatSyncValue(value)
-		if (!this.syncVariableDefs.some((d) => d.variableId === variableId)) {
-			this.syncVariableDefs.push({ variableId, name: this.variableIdToName(variableId) })
+		this.syncState[variableId] = this.formatSyncValue(value, variableId)
+		if (typeof value === 'number' && Number.isFinite(value)) this.rawValues[variableId] = value
+		else delete this.rawValues[variableId]
+		this.addSyncVariableDef(variableId)
+		if (/^gain_input_\d+_\d+$/.test(variableId)) this.routingDirty = true
+		this.storeDerivedValues(variableId, value)
+	}
+
+	addSyncVariableDef(variableId) {
+		if (!this.syncVariableIds.has(variableId)) {
+			this.syncVariableIds.add(variableId)
+			this.variableDefsDirty = true
 		}
 	}
 
+	/** Every DBT-44 parameter the module knows, as variable ids (e.g. gain_input_1_2, eq_freq_output_3_1) */
+	knownParameterIds() {
+		const ids = []
+		for (let outIdx = 1; outIdx <= NUM_OUTPUTS; outIdx++) {
+			for (let inIdx = 1; inIdx <= NUM_INPUTS; inIdx++) ids.push(`gain_input_${inIdx}_${outIdx}`)
+			ids.push(`gain_output_${outIdx}`, `mute_output_${outIdx}`, `delay_${outIdx}`)
+		}
+		for (let inIdx = 1; inIdx <= NUM_INPUTS; inIdx++) ids.push(`mute_input_${inIdx}`, `trim_${inIdx}`)
+		for (const type of ['input', 'output']) {
+			const count = type === 'input' ? NUM_INPUTS : NUM_OUTPUTS
+			for (let idx = 1; idx <= count; idx++) {
+				ids.push(`phase_${type}_${idx}`, `eqenable_${type}_${idx}`, `comp_enable_${type}_${idx}`)
+				for (let band = 1; band <= EQ_BANDS; band++) {
+					for (const param of Object.keys(EQ_PARAM_LABELS)) ids.push(`eq_${param}_${type}_${idx}_${band}`)
+				}
+				for (const param of Object.keys(COMP_PARAMS)) ids.push(`comp_${param}_${type}_${idx}`)
+			}
+		}
+		return ids
+	}
+
+	/** Define the known DBT-44 parameter set up front, so a full /sync does not add definitions one by one */
+	defineKnownVariables() {
+		const ids = this.knownParameterIds()
+		for (let outIdx = 1; outIdx <= NUM_OUTPUTS; outIdx++) {
+			ids.push(`delay_${outIdx}_ms`, `delay_${outIdx}_m`, `delay_${outIdx}_ft`, `gain_output_${outIdx}_db`)
+			for (let inIdx = 1; inIdx <= NUM_INPUTS; inIdx++) ids.push(`gain_input_${inIdx}_${outIdx}_db`)
+		}
+		for (let inIdx = 1; inIdx <= NUM_INPUTS; inIdx++) ids.push(`trim_${inIdx}_db`)
+		for (const type of ['input', 'output']) {
+			const count = type === 'input' ? NUM_INPUTS : NUM_OUTPUTS
+			for (let idx = 1; idx <= count; idx++) {
+				for (let band = 1; band <= EQ_BANDS; band++) ids.push(`eq_type_${type}_${idx}_${band}_name`)
+				for (const param of Object.keys(COMP_PARAMS)) ids.push(`comp_${param}_${type}_${idx}_text`)
+			}
+		}
+		for (const variableId of ids) this.addSyncVariableDef(variableId)
+	}
+
+	/** Extra formatted variables derived from a device value (e.g. delay in ms / m / ft) */
+	storeDerivedValues(variableId, value) {
+		if (/^gain_(input_\d+_\d+|output_\d+)$/.test(variableId) || /^trim_\d+$/.test(variableId)) {
+			const id = `${variableId}_db`
+			this.syncState[id] = this.formatDb(value, variableId.startsWith('trim_') ? null : GAIN_MIN)
+			this.addSyncVariableDef(id)
+		}
+		const delayMatch = /^delay_(\d+)$/.exec(variableId)
+		if (delayMatch) {
+			const ms = Number(value) || 0
+			const metres = (ms / 1000) * SPEED_OF_SOUND_M_S
+			const derived = {
+				ms: `${ms.toFixed(1)} ms`,
+				m: `${metres.toFixed(2)} m`,
+				ft: `${(metres * FEET_PER_METRE).toFixed(1)} ft`,
+			}
+			for (const [unit, text] of Object.entries(derived)) {
+				const id = `delay_${delayMatch[1]}_${unit}`
+				this.syncState[id] = text
+				this.addSyncVariableDef(id)
+			}
+		}
+		if (/^eq_type_(input|output)_\d+_\d+$/.test(variableId)) {
+			const type = EQ_FILTER_TYPES.find((t) => t.id === Math.round(Number(value)))
+			const id = `${variableId}_name`
+			this.syncState[id] = type ? type.label : String(value)
+			this.addSyncVariableDef(id)
+		}
+		const compMatch = /^comp_([a-z]+)_(input|output)_\d+$/.exec(variableId)
+		if (compMatch && COMP_PARAMS[compMatch[1]]) {
+			const num = Number(value)
+			const unit = COMP_PARAMS[compMatch[1]].unit
+			const id = `${variableId}_text`
+			this.syncState[id] = Number.isFinite(num) ? `${num.toFixed(1)}${unit === ':1' ? '' : ' '}${unit}` : String(value)
+			this.addSyncVariableDef(id)
+		}
+	}
+
+	/** Encoder step (dB) for one detent on this gain; fast turns in the same direction step 2x or 4x */
+	encoderStepSize(variableId, direction) {
+		const base = Number(this.config.encoderStep) || DEFAULT_ENCODER_STEP
+		const key = `${variableId}_${direction}`
+		const now = Date.now()
+		const interval = now - (this.encoderLastTurn[key] || 0)
+		this.encoderLastTurn[key] = now
+		if (this.config.encoderAcceleration === false) return base
+		if (interval < ENCODER_FAST_MS) return base * 4
+		if (interval < ENCODER_MEDIUM_MS) return base * 2
+		return base
+	}
+
+	/** Convert a delay amount in ms, metres or feet to milliseconds */
+	delayToMs(amount, unit) {
+		const num = Number(amount) || 0
+		if (unit === 'm') return (num / SPEED_OF_SOUND_M_S) * 1000
+		if (unit === 'ft') return (num / FEET_PER_METRE / SPEED_OF_SOUND_M_S) * 1000
+		return num
+	}
+
+	/** Push variables after a batch: redefine only when a new path appeared, otherwise send changed values */
 	applySyncVariables() {
 		try {
-			const deviceName = (this.config.device_name || '').trim()
-			const defs = [
-				{ variableId: 'device_name', name: 'Device name (configured)' },
-				...this.syncVariableDefs.map((d) => ({
-					variableId: d.variableId,
-					name: this.variableIdToName(d.variableId),
-				})),
-			]
-			this.setVariableDefinitions(defs)
-			this.setVariableValues({ device_name: deviceName, ...this.syncState })
+			if (this.variableDefsDirty) {
+				this.updateVariables()
+			} else {
+				this.setChangedVariableValues(this.currentVariableValues())
+			}
+			this.checkFeedbacks('snapshot_matched')
+			if (this.routingDirty) {
+				this.routingDirty = false
+				this.checkFeedbacks('input_routed')
+			}
 		} catch (err) {
 			this.log('error', `applySyncVariables error: ${err.message}`)
 		}
 	}
 
+	/** All variable values: module state plus every sync value */
+	currentVariableValues() {
+		return {
+			device_name: (this.config.device_name || '').trim(),
+			snapshot_matched: this.matchedSnapshot(),
+			...this.channelNameVariableValues(),
+			...this.routingVariableValues(),
+			...this.confirmVariableValues(),
+			...this.historyVariableValues(),
+			...this.soloVariableValues(),
+			panel_locked: this.config.panelLocked === true ? 1 : 0,
+			...this.connectionVariableValues(),
+			...this.rxStatsVariableValues(),
+			...this.syncState,
+		}
+	}
+
+	/** Send only the values that differ from what was last pushed */
+	setChangedVariableValues(values) {
+		const changed = {}
+		for (const [variableId, value] of Object.entries(values)) {
+			if (this.variableValues[variableId] !== value) {
+				changed[variableId] = value
+				this.variableValues[variableId] = value
+			}
+		}
+		if (Object.keys(changed).length > 0) this.setVariableValues(changed)
+	}
+
+	/** Map a sync variable id back to its OSC path (inverse of pathToVariableId, without device name) */
+	variableIdToPath(variableId) {
+		return '/' + variableId.replace(/_/g, '/')
+	}
+
+	/** Send one parameter by variable id with the OSC arg type the device expects, and store it */
+	sendParam(variableId, value) {
+		if (this.isParamLocked(variableId)) return false
+		let arg
+		if (this.isFlagParam(variableId)) {
+			const num = parseFloat(value)
+			const on = !isNaN(num) ? num !== 0 : value === true || value === 'true'
+			arg = on ? { type: 'T' } : { type: 'F' }
+			value = on ? 1 : 0
+		} else if (/^eq_type_/.test(variableId)) {
+			value = Math.round(Number(value)) || 0
+			arg = { type: 'i', value }
+		} else {
+			value = this.limitGain(variableId, Number(value) || 0)
+			arg = { type: 'f', value }
+		}
+		this.cancelFade(variableId)
+		this.recordChange(variableId, value)
+		this.rememberMatrixLevel(variableId, value)
+		this.sendOsc(this.variableIdToPath(variableId), [arg])
+		this.storeSyncValue(variableId, value)
+		return true
+	}
+
+	/** Add a change to the undo history (skipped while undoing, and when the previous value is unknown) */
+	recordChange(variableId, value) {
+		const before = this.syncState[variableId]
+		if (this.historySuppressed || before === undefined) return
+		const after = this.formatSyncValue(value, variableId)
+		if (before === after) return
+		if (this.historyGroup) {
+			const existing = this.historyGroup.changes.find((c) => c.variableId === variableId)
+			if (existing) existing.after = after
+			else this.historyGroup.changes.push({ variableId, before, after })
+			return
+		}
+		this.pushHistory({
+			label: this.variableIdToName(variableId),
+			time: Date.now(),
+			changes: [{ variableId, before, after }],
+		})
+	}
+
+	/** Collect the changes of one action into one history entry; returns the group for endHistoryGroup */
+	beginHistoryGroup(label) {
+		this.historyGroup = { label, time: Date.now(), changes: [] }
+		return this.historyGroup
+	}
+
+	/** Close a group once its action has finished (another action may have opened a newer one meanwhile) */
+	endHistoryGroup(group) {
+		if (this.historyGroup === group) this.historyGroup = null
+		if (group && group.changes.length > 0) this.pushHistory(group)
+	}
+
+	pushHistory(entry) {
+		this.historyUndo.push(entry)
+		if (this.historyUndo.length > HISTORY_SIZE) {
+			this.historyUndo.shift()
+			if (this.historyMark !== null) this.historyMark = Math.max(0, this.historyMark - 1)
+		}
+		this.historyRedo = []
+		this.setChangedVariableValues(this.historyVariableValues())
+	}
+
+	/** Send one history entry's before (undo) or after (redo) values without recording them */
+	applyHistoryEntry(entry, undo) {
+		this.historySuppressed = true
+		try {
+			const changes = undo ? [...entry.changes].reverse() : entry.changes
+			for (const change of changes) this.sendParam(change.variableId, undo ? change.before : change.after)
+		} finally {
+			this.historySuppressed = false
+		}
+		this.log('info', `${undo ? 'Undo' : 'Redo'}: ${this.describeHistoryEntry(entry)}`)
+	}
+
+	undo() {
+		const entry = this.historyUndo.pop()
+		if (!entry) {
+			this.log('info', 'Nothing to undo')
+			return
+		}
+		this.applyHistoryEntry(entry, true)
+		this.historyRedo.push(entry)
+		this.applySyncVariables()
+		this.checkFeedbacks(...STATE_FEEDBACKS)
+	}
+
+	redo() {
+		const entry = this.historyRedo.pop()
+		if (!entry) {
+			this.log('info', 'Nothing to redo')
+			return
+		}
+		this.applyHistoryEntry(entry, false)
+		this.historyUndo.push(entry)
+		this.applySyncVariables()
+		this.checkFeedbacks(...STATE_FEEDBACKS)
+	}
+
+	setHistoryMark() {
+		this.historyMark = this.historyUndo.length
+		this.log('info', 'Undo mark set')
+		this.setChangedVariableValues(this.historyVariableValues())
+	}
+
+	/** Undo every change made since the mark (or the whole history when no mark is set) */
+	revertToMark() {
+		const mark = this.historyMark === null ? 0 : this.historyMark
+		while (this.historyUndo.length > mark) this.undo()
+	}
+
+	clearHistory() {
+		this.historyUndo = []
+		this.historyRedo = []
+		this.historyGroup = null
+		this.historyMark = null
+	}
+
+	/** e.g. "Set output gain: Gain: Analog out 1 -6.0 -> -3.0" or "Routing: clear output (8 changes)" */
+	describeHistoryEntry(entry) {
+		if (entry.changes.length !== 1) return `${entry.label} (${entry.changes.length} changes)`
+		const change = entry.changes[0]
+		const name = this.variableIdToName(change.variableId)
+		const detail = `${name} ${change.before} -> ${change.after}`
+		return entry.label === name ? detail : `${entry.label}: ${detail}`
+	}
+
+	historyVariableValues() {
+		const last = this.historyUndo[this.historyUndo.length - 1]
+		return {
+			history_last_change: last ? this.describeHistoryEntry(last) : '',
+			history_last_change_time: last ? new Date(last.time).toLocaleTimeString('en-GB', { hour12: false }) : '',
+			history_undo_count: this.historyUndo.length,
+			history_redo_count: this.historyRedo.length,
+			history_since_mark: this.historyMark === null ? '' : Math.max(0, this.historyUndo.length - this.historyMark),
+		}
+	}
+
+	/** Channels a parameter belongs to, as [type, n]; a crosspoint belongs to its input and its output */
+	paramChannels(variableId) {
+		const point = /^gain_input_(\d+)_(\d+)$/.exec(variableId)
+		if (point) {
+			return [
+				['input', Number(point[1])],
+				['output', Number(point[2])],
+			]
+		}
+		const delay = /^delay_(\d+)$/.exec(variableId)
+		if (delay) return [['output', Number(delay[1])]]
+		const trim = /^trim_(\d+)$/.exec(variableId)
+		if (trim) return [['input', Number(trim[1])]]
+		const channel = /_(input|output)_(\d+)/.exec(variableId)
+		return channel ? [[channel[1], Number(channel[2])]] : []
+	}
+
+	/** Safety limit: true (and logged) when a channel the parameter belongs to is locked in the config */
+	isParamLocked(variableId) {
+		const locked = this.paramChannels(variableId).find(([type, n]) => this.config[`lock_${type}_${n}`] === true)
+		if (!locked) return false
+		this.log(
+			'warn',
+			`${this.channelLabel(locked[1], locked[0])} is locked: ${this.variableIdToName(variableId)} not changed`,
+		)
+		return true
+	}
+
+	/** Highest gain allowed on an output and its crosspoints (config ceiling, +10 dB when not set) */
+	gainCeiling(outIdx) {
+		const raw = this.config[`maxGain_output_${outIdx}`]
+		const ceiling = raw === undefined || raw === null || raw === '' ? NaN : Number(raw)
+		return Number.isFinite(ceiling) ? Math.min(10, ceiling) : 10
+	}
+
+	/** Clamp a crosspoint or output gain to the output's ceiling; other parameters pass through */
+	limitGain(variableId, value) {
+		const gain = /^gain_(?:input_\d+|output)_(\d+)$/.exec(variableId)
+		return gain ? Math.min(Number(value), this.gainCeiling(Number(gain[1]))) : value
+	}
+
+	/** Panel lock is kept in the instance config so it survives restarts */
+	setPanelLock(locked) {
+		if ((this.config.panelLocked === true) === locked) return
+		this.config.panelLocked = locked
+		this.saveConfig(this.config)
+		this.log('info', locked ? 'Panel locked' : 'Panel unlocked')
+		this.setChangedVariableValues({ panel_locked: locked ? 1 : 0 })
+		this.checkFeedbacks('panel_locked')
+	}
+
+	/** Snapshots stored in the instance config: { [name]: { [variableId]: value } } */
+	getSnapshots() {
+		const snapshots = this.config.snapshots
+		return snapshots && typeof snapshots === 'object' ? snapshots : {}
+	}
+
+	/** Capture crosspoint gains, output gains, mutes and trims from syncState into a named snapshot */
+	storeSnapshot(name) {
+		const values = {}
+		for (const [variableId, value] of Object.entries(this.syncState)) {
+			if (SNAPSHOT_PARAM_PATTERN.test(variableId)) values[variableId] = value
+		}
+		this.config.snapshots = { ...this.getSnapshots(), [name]: values }
+		this.saveConfig(this.config)
+		this.log('info', `Stored snapshot "${name}" (${Object.keys(values).length} parameters)`)
+		this.updateActions()
+		this.updateFeedbacks()
+		this.applySyncVariables()
+	}
+
+	/** Recall a snapshot, sending only the parameters that differ from the current state */
+	recallSnapshot(name) {
+		const snapshot = this.getSnapshots()[name]
+		if (!snapshot) {
+			this.log('warn', `Snapshot "${name}" not found`)
+			return
+		}
+		let sent = 0
+		for (const [variableId, value] of Object.entries(snapshot)) {
+			if (this.snapshotValueMatches(variableId, value)) continue
+			if (this.sendParam(variableId, value)) sent++
+		}
+		this.log('info', `Recalled snapshot "${name}" (${sent} changed parameters sent)`)
+		this.applySyncVariables()
+		this.checkFeedbacks('input_muted', 'output_muted', 'matrix_point_muted', 'input_trim_active', 'group_mute_state')
+	}
+
+	/**
+	 * Set several matrix crosspoints at once: changes is a list of [input, output, gain].
+	 * Points already at the requested gain are not sent.
+	 */
+	setMatrixGains(changes) {
+		for (const [inIdx, outIdx, gain] of changes) {
+			const variableId = `gain_input_${inIdx}_${outIdx}`
+			const value = Math.max(GAIN_MIN, Math.min(10, Number(gain) || 0))
+			if (this.snapshotValueMatches(variableId, this.formatSyncValue(value, variableId))) continue
+			this.sendParam(variableId, value)
+		}
+		this.applySyncVariables()
+		this.checkFeedbacks('matrix_point_muted')
+	}
+
+	/** Level a muted crosspoint returns to on unmute (stored in the instance config), 0 dB if never set */
+	getMatrixRestoreLevel(inIdx, outIdx) {
+		const levels = this.config.matrixRestore
+		const level = levels && typeof levels === 'object' ? Number(levels[`${inIdx}_${outIdx}`]) : NaN
+		return Number.isFinite(level) ? level : 0
+	}
+
+	setMatrixRestoreLevel(inIdx, outIdx, level) {
+		const value = Math.max(GAIN_MIN + 0.5, Math.min(10, Number(level) || 0))
+		const key = `${inIdx}_${outIdx}`
+		const levels =
+			this.config.matrixRestore && typeof this.config.matrixRestore === 'object' ? this.config.matrixRestore : {}
+		if (levels[key] === value) return
+		this.config.matrixRestore = { ...levels, [key]: value }
+		this.saveConfig(this.config)
+	}
+
+	/**
+	 * Crosspoint going from a level to -inf, however it was muted: remember that level for the next
+	 * unmute. Undo/redo and solo replays are not new mutes and leave the stored level alone.
+	 */
+	rememberMatrixLevel(variableId, value) {
+		const point = /^gain_input_(\d+)_(\d+)$/.exec(variableId)
+		if (!point || this.historySuppressed) return
+		const previous = parseFloat(this.syncState[variableId])
+		if (previous > GAIN_MIN && Number(value) <= GAIN_MIN) this.setMatrixRestoreLevel(point[1], point[2], previous)
+	}
+
+	/** Mute a crosspoint (-120 dB), remembering its level, or unmute it to the stored restore level */
+	setMatrixPointMute(inIdx, outIdx, mute) {
+		const variableId = `gain_input_${inIdx}_${outIdx}`
+		if (this.isParamLocked(variableId)) return
+		const current = parseFloat(this.syncState[variableId])
+		const isMuted = !isNaN(current) && current <= GAIN_MIN
+		if (mute === 'toggle') mute = !isMuted
+		if (mute) {
+			this.sendParam(variableId, GAIN_MIN)
+		} else {
+			this.sendParam(variableId, this.getMatrixRestoreLevel(inIdx, outIdx))
+		}
+		this.applySyncVariables()
+		this.checkFeedbacks('matrix_point_muted')
+	}
+
+	/** Active solos (stored in the instance config): { <output>: { input, saved: { <input>: dB before solo } } } */
+	getSolos() {
+		const solos = this.config.solos
+		return solos && typeof solos === 'object' ? solos : {}
+	}
+
+	saveSolos(solos) {
+		this.config.solos = solos
+		this.saveConfig(this.config)
+	}
+
+	/**
+	 * Solo one input on an output: every other crosspoint on the output goes to -120 dB, and a soloed
+	 * input at -120 dB opens to its restore level. Changed levels are saved for cancelSolo. Solo changes
+	 * are not part of the undo history; cancelling the solo is their undo.
+	 */
+	soloInput(inIdx, outIdx) {
+		const solos = this.getSolos()
+		const active = solos[outIdx]
+		if (active && active.input === inIdx) return
+		const saved = active ? { ...active.saved } : {}
+		this.historySuppressed = true
+		try {
+			for (let i = 1; i <= NUM_INPUTS; i++) {
+				const variableId = `gain_input_${i}_${outIdx}`
+				// Switching the solo: start from the levels saved by the previous solo. Levels are saved
+				// unrounded, so cancelling puts back exactly what the device had
+				const current = saved[i] !== undefined ? saved[i] : this.rawValues[variableId]
+				const currentDb = parseFloat(current)
+				let target = GAIN_MIN
+				if (i === inIdx) {
+					target = !isNaN(currentDb) && currentDb > GAIN_MIN ? currentDb : this.getMatrixRestoreLevel(i, outIdx)
+				}
+				if (this.snapshotValueMatches(variableId, this.formatSyncValue(target, variableId))) {
+					if (
+						saved[i] !== undefined &&
+						this.snapshotValueMatches(variableId, this.formatSyncValue(saved[i], variableId))
+					) {
+						delete saved[i]
+					}
+					continue
+				}
+				if (current === undefined) continue
+				if (this.sendParam(variableId, target) && saved[i] === undefined) saved[i] = current
+			}
+		} finally {
+			this.historySuppressed = false
+		}
+		this.saveSolos({ ...solos, [outIdx]: { input: inIdx, saved } })
+		this.log('info', `Solo ${this.channelLabel(inIdx, 'input')} on ${this.channelLabel(outIdx, 'output')}`)
+		this.applySyncVariables()
+		this.checkFeedbacks('input_soloed', 'matrix_point_muted')
+	}
+
+	/** Restore the levels saved when the output's solo started */
+	cancelSolo(outIdx) {
+		const solos = { ...this.getSolos() }
+		const active = solos[outIdx]
+		if (!active) return
+		this.historySuppressed = true
+		try {
+			for (const [i, value] of Object.entries(active.saved || {})) this.sendParam(`gain_input_${i}_${outIdx}`, value)
+		} finally {
+			this.historySuppressed = false
+		}
+		delete solos[outIdx]
+		this.saveSolos(solos)
+		this.log('info', `Solo cleared on ${this.channelLabel(outIdx, 'output')}`)
+		this.applySyncVariables()
+		this.checkFeedbacks('input_soloed', 'matrix_point_muted')
+	}
+
+	clearAllSolos() {
+		for (const outIdx of Object.keys(this.getSolos())) this.cancelSolo(Number(outIdx))
+	}
+
+	/** output_<n>_solo: name of the input soloed on the output, empty when none */
+	soloVariableValues() {
+		const solos = this.getSolos()
+		const values = {}
+		for (let outIdx = 1; outIdx <= NUM_OUTPUTS; outIdx++) {
+			values[`output_${outIdx}_solo`] = solos[outIdx] ? this.channelLabel(solos[outIdx].input, 'input') : ''
+		}
+		return values
+	}
+
+	/**
+	 * Channel groups from config, e.g. "Stereo mics: in1, in2; Dante outs: out5-out8".
+	 * Each group holds only inputs or only outputs. Returns [{ name, type, members: [n] }].
+	 */
+	getGroups() {
+		const text = this.config.groups === undefined ? DEFAULT_GROUPS : String(this.config.groups || '')
+		if (this.groupCache && this.groupCache.text === text) return this.groupCache.groups
+		const groups = []
+		for (const entry of text.split(/[;\n]/)) {
+			const colon = entry.indexOf(':')
+			if (colon < 0) continue
+			const name = entry.slice(0, colon).trim()
+			const members = []
+			let type = null
+			let valid = !!name
+			for (const token of entry
+				.slice(colon + 1)
+				.split(/[,\s]+/)
+				.filter(Boolean)) {
+				const m = /^(in|out)(\d+)(?:-(?:in|out)?(\d+))?$/i.exec(token)
+				const tokenType = m ? (m[1].toLowerCase() === 'in' ? 'input' : 'output') : null
+				if (!m || (type && tokenType !== type)) {
+					valid = false
+					break
+				}
+				type = tokenType
+				const max = type === 'input' ? NUM_INPUTS : NUM_OUTPUTS
+				const from = parseInt(m[2], 10)
+				const to = m[3] !== undefined ? parseInt(m[3], 10) : from
+				for (let n = from; n <= to; n++) {
+					if (n >= 1 && n <= max && !members.includes(n)) members.push(n)
+				}
+			}
+			if (valid && type && members.length > 0) {
+				groups.push({ name, type, members })
+			} else {
+				this.log('warn', `Ignoring invalid channel group "${entry.trim()}"`)
+			}
+		}
+		this.groupCache = { text, groups }
+		return groups
+	}
+
+	getGroup(name) {
+		return this.getGroups().find((g) => g.name === name)
+	}
+
+	/** Variable id of a group member's gain, trim or mute (input gain = matrix gain on outIdx) */
+	groupMemberId(group, idx, param, outIdx) {
+		if (param === 'mute') return `mute_${group.type}_${idx}`
+		if (param === 'trim') return `trim_${idx}`
+		return group.type === 'input' ? `gain_input_${idx}_${outIdx}` : `gain_output_${idx}`
+	}
+
+	/**
+	 * Set a group's gain or trim. { target }: the first member gets target and the others keep their
+	 * offset to it; { step }: every member moves by step. Values are clamped per member.
+	 */
+	setGroupValues(group, param, outIdx, { target, step }) {
+		if (param === 'trim' && group.type !== 'input') {
+			this.log('warn', `Trim applies to input groups only ("${group.name}" is an output group)`)
+			return
+		}
+		const [min, max] = param === 'trim' ? [TRIM_MIN, TRIM_MAX] : [GAIN_MIN, 10]
+		const ids = group.members.map((idx) => this.groupMemberId(group, idx, param, outIdx))
+		const known = ids.map((id) => parseFloat(this.syncState[id]))
+		// Members at -inf stay there and do not limit the others, unless the whole group is at -inf
+		const atFloor = known.map((v) => param === 'gain' && v <= GAIN_MIN)
+		const held = atFloor.every(Boolean) ? atFloor.map(() => false) : atFloor
+		const first = known.find((v, i) => !held[i] && !isNaN(v))
+		const ref = first === undefined ? 0 : first
+		const currents = known.map((v) => (isNaN(v) ? ref : v))
+		const moving = currents.filter((_, i) => !held[i])
+		// Move the group by one delta, limited so no member passes min or max and the offsets are kept
+		const wanted = step !== undefined ? step : target - ref
+		const delta = Math.max(min - Math.min(...moving), Math.min(max - Math.max(...moving), wanted))
+		ids.forEach((id, i) => {
+			if (held[i]) return
+			const value = Math.max(min, Math.min(max, currents[i] + delta))
+			if (this.formatSyncValue(value, id) !== this.syncState[id]) this.sendParam(id, value)
+		})
+		this.applySyncVariables()
+		this.checkFeedbacks('matrix_point_muted', 'input_trim_active')
+	}
+
+	setGroupMute(group, mute) {
+		for (const idx of group.members) {
+			this.sendParam(this.groupMemberId(group, idx, 'mute'), mute ? 1 : 0)
+		}
+		this.applySyncVariables()
+		this.checkFeedbacks('input_muted', 'output_muted', 'group_mute_state')
+	}
+
+	/** 'all', 'partial' or 'none' muted */
+	groupMuteState(group) {
+		const muted = group.members.filter((idx) => this.isFlagOn(this.groupMemberId(group, idx, 'mute'))).length
+		if (muted === 0) return 'none'
+		return muted === group.members.length ? 'all' : 'partial'
+	}
+
+	deleteSnapshot(name) {
+		const snapshots = { ...this.getSnapshots() }
+		if (!(name in snapshots)) return
+		delete snapshots[name]
+		this.config.snapshots = snapshots
+		this.saveConfig(this.config)
+		this.updateActions()
+		this.updateFeedbacks()
+		this.applySyncVariables()
+	}
+
+	snapshotValueMatches(variableId, value) {
+		const current = parseFloat(this.syncState[variableId])
+		const wanted = parseFloat(value)
+		if (isNaN(current) || isNaN(wanted)) return this.syncState[variableId] === value
+		return Math.abs(current - wanted) < 0.05
+	}
+
+	/** True when every parameter in the snapshot matches the current state */
+	isSnapshotMatched(name) {
+		const snapshot = this.getSnapshots()[name]
+		if (!snapshot) return false
+		return Object.entries(snapshot).every(([variableId, value]) => this.snapshotValueMatches(variableId, value))
+	}
+
+	/** Name of the first snapshot that matches the current state, or '' */
+	matchedSnapshot() {
+		return Object.keys(this.getSnapshots()).find((name) => this.isSnapshotMatched(name)) || ''
+	}
+
 	sendSync() {
 		const path = this.oscPath(OSC_PATH_SYNC)
 		if (!path || !this.targetHost || !this.socket) return
 		try {
 			const msg = osc.writePacket({ address: path, args: [] }, { metadata: true })
-			this.socket.send(msg, 0, msg.length, this.config.targetPort, this.targetHost, (err) => {
+			this.socket.send(msg, 0, msg.length, Number(this.config.targetPort), this.targetHost, (err) => {
 				if (err) this.log('error', `Sync send error: ${err.message}`)
 				else this.log('debug', `Sent ${path}`)
 			})
@@ -256,96 +1095,191 @@ class SynqDbt44Instance extends InstanceBase {
 		}
 	}
 
-	/** Send OSC message with args to the device */
+	/**
+	 * Queue an OSC message for the device. Within the send window only the latest value per path
+	 * is kept, and the queue drains at no more than the configured rate.
+	 */
 	sendOsc(pathWithoutName, args) {
 		const path = this.oscPath(pathWithoutName)
 		if (!path || !this.targetHost) return
 		const oscArgs = args || []
-		this.oscSend(this.targetHost, this.config.targetPort, path, oscArgs)
-		const argStr = oscArgs.map((a) => (a.type === 'T' ? 1 : a.type === 'F' ? 0 : a.value)).join(', ')
-		this.log('debug', `Sent ${path} [${argStr}]`)
+		// A "get" (no args) and a set on the same path are queued separately
+		const key = oscArgs.length > 0 ? `set ${path}` : `get ${path}`
+		this.sendQueue.set(key, { path, args: oscArgs })
+		if (oscArgs.length > 0 && this.config.confirmMode) {
+			// Read back after the set: re-queue the get so it goes out after the set. The check is
+			// armed (timer set) only when that get is sent, so earlier replies are not compared
+			const pending = this.pendingConfirms[path]
+			if (pending && pending.timer) clearTimeout(pending.timer)
+			this.pendingConfirms[path] = { args: oscArgs, timer: null }
+			this.sendQueue.delete(`get ${path}`)
+			this.sendQueue.set(`get ${path}`, { path, args: [] })
+		}
+		const windowMs = parseInt(this.config.sendWindow, 10)
+		this.scheduleSend(Number.isFinite(windowMs) ? Math.max(0, windowMs) : DEFAULT_SEND_WINDOW_MS)
 	}
 
-	getCompleteMessageLength(buffer) {
-		try {
-			const packet = osc.readPacket(buffer, {})
-			return osc.writePacket(packet).length
-		} catch (_) {
-			return buffer.length + 1
+	scheduleSend(delay) {
+		if (this.sendTimer || this.sendQueue.size === 0) return
+		const wait = Math.max(delay, this.nextSendAt - Date.now())
+		this.sendTimer = setTimeout(() => {
+			this.sendTimer = null
+			this.flushSendQueue()
+		}, wait)
+	}
+
+	/** Send the oldest queued message, then schedule the next one at the rate limit */
+	flushSendQueue() {
+		const [key, msg] = this.sendQueue.entries().next().value || []
+		if (!key) return
+		this.sendQueue.delete(key)
+		this.oscSend(this.targetHost, this.config.targetPort, msg.path, msg.args)
+		const argStr = msg.args.map((a) => (a.type === 'T' ? 1 : a.type === 'F' ? 0 : a.value)).join(', ')
+		this.log('debug', `Sent ${msg.path} [${argStr}]`)
+		const pending = msg.args.length === 0 && this.pendingConfirms[msg.path]
+		if (pending) {
+			if (pending.timer) clearTimeout(pending.timer)
+			pending.timer = setTimeout(() => this.confirmTimedOut(msg.path), CONFIRM_TIMEOUT_MS)
 		}
+		const rate = Math.max(1, parseInt(this.config.maxSendRate, 10) || DEFAULT_MAX_SEND_RATE)
+		this.nextSendAt = Date.now() + 1000 / rate
+		this.scheduleSend(0)
 	}
 
-	/** DBT-44 sends path-only OSC (no type tag, no args) */
-	parsePathOnlyOsc(buffer) {
-		if (buffer.length < 2 || buffer[0] !== 0x2f) return null
-		const nullIdx = buffer.indexOf(0)
-		if (nullIdx < 1) return null
-		const path = buffer.toString('utf8', 0, nullIdx)
-		if (!/^\/[\x20-\x7e]+$/.test(path)) return null
-		const byteLength = (nullIdx + 1 + 3) & ~3
-		if (byteLength > buffer.length) return null
-		return { path, byteLength }
+	clearSendQueue() {
+		if (this.sendTimer) {
+			clearTimeout(this.sendTimer)
+			this.sendTimer = null
+		}
+		this.sendQueue.clear()
+		this.nextSendAt = 0
 	}
 
-	parseOscIncoming() {
-		let hadSyncMessage = false
-		while (this.receiveBuffer.length > 0) {
-			let messageLength = this.getCompleteMessageLength(this.receiveBuffer)
-			let message = null
-			let packet = null
+	/** Confirm mode: compare the device's reply with the value sent; the reply is then stored as usual */
+	checkConfirm(path, variableId, value) {
+		const pending = this.pendingConfirms[path]
+		if (pending.timer) clearTimeout(pending.timer)
+		delete this.pendingConfirms[path]
+		const arg = pending.args[0]
+		const sent = arg.type === 'T' ? true : arg.type === 'F' ? false : arg.value
+		let matches
+		if (typeof sent === 'boolean' || typeof value === 'boolean') {
+			const on = (v) => (typeof v === 'boolean' ? v : Number(v) !== 0)
+			matches = on(sent) === on(value)
+		} else if (typeof sent === 'number') {
+			matches = Math.abs(sent - Number(value)) < 0.05
+		} else {
+			matches = String(sent) === String(value)
+		}
+		if (matches) {
+			this.resolveConfirm(variableId)
+		} else {
+			const shown = (v) => (typeof v === 'number' ? this.formatSyncValue(v, variableId) : String(v))
+			this.recordConfirmMismatch(
+				variableId,
+				`${this.variableIdToName(variableId)}: sent ${shown(sent)}, device has ${shown(value)}`,
+			)
+		}
+	}
 
-			if (messageLength <= this.receiveBuffer.length) {
-				message = this.receiveBuffer.slice(0, messageLength)
-				try {
-					packet = osc.readPacket(message, { metadata: true })
-				} catch (_) {
-					packet = null
-				}
-			}
+	confirmTimedOut(path) {
+		if (!this.pendingConfirms[path]) return
+		delete this.pendingConfirms[path]
+		const variableId = this.pathToVariableId(path)
+		this.recordConfirmMismatch(variableId, `${this.variableIdToName(variableId)}: no reply (check the device name)`)
+		this.applySyncVariables()
+	}
 
-			if (!packet && this.receiveBuffer.length >= 4) {
-				const pathOnly = this.parsePathOnlyOsc(this.receiveBuffer)
-				if (pathOnly) {
-					messageLength = pathOnly.byteLength
-					message = this.receiveBuffer.slice(0, messageLength)
-					packet = { address: pathOnly.path, args: [] }
-					this.log('debug', `OSC (path-only) ${pathOnly.path}`)
-				}
-			}
+	recordConfirmMismatch(variableId, text) {
+		this.log('warn', `Confirm failed: ${text}`)
+		this.confirmMismatches[variableId] = text
+		this.lastConfirmMismatch = text
+		this.checkFeedbacks('confirm_mismatch')
+	}
 
-			if (messageLength > this.receiveBuffer.length) break
+	resolveConfirm(variableId) {
+		if (!(variableId in this.confirmMismatches)) return
+		delete this.confirmMismatches[variableId]
+		this.checkFeedbacks('confirm_mismatch')
+	}
 
-			message = message || this.receiveBuffer.slice(0, messageLength)
-			this.receiveBuffer = this.receiveBuffer.slice(messageLength)
+	clearConfirms() {
+		for (const pending of Object.values(this.pendingConfirms)) {
+			if (pending.timer) clearTimeout(pending.timer)
+		}
+		this.pendingConfirms = {}
+		this.confirmMismatches = {}
+		this.lastConfirmMismatch = ''
+	}
 
-			if (packet) {
-				if (packet.address) {
-					hadSyncMessage = this.handleOscMessage(packet) || hadSyncMessage
-				} else if (packet.packets) {
-					this.log('debug', `OSC bundle with ${packet.packets.length} messages`)
-					for (const p of packet.packets) {
-						if (p.address) hadSyncMessage = this.handleOscMessage(p) || hadSyncMessage
-					}
-				}
-			} else if (message.length <= 64) {
-				this.log('debug', `OSC unparsed (${message.length} bytes): ${message.toString('hex')}`)
-			}
+	confirmVariableValues() {
+		return {
+			confirm_mismatch_count: Object.keys(this.confirmMismatches).length,
+			confirm_last_mismatch: this.lastConfirmMismatch,
+		}
+	}
+
+	/** Parse one UDP datagram (message, bundle or path-only messages) and handle each message */
+	handleDatagram(msg, rinfo) {
+		const result = parseDatagram(msg)
+		this.rxStats.messages += result.messages.length
+		this.rxStats.malformed += result.malformed
+		if (result.bundles > 0 || result.pathOnly > 0) {
+			this.log(
+				'debug',
+				`OSC datagram: ${result.messages.length} messages, ${result.bundles} bundles, ${result.pathOnly} path-only`,
+			)
+		}
+		for (const error of result.errors) {
+			this.log('debug', `OSC malformed: ${error}`)
+		}
+
+		let hadSyncMessage = false
+		for (const packet of result.messages) {
+			hadSyncMessage = this.handleOscMessage(packet, rinfo) || hadSyncMessage
 		}
 		if (hadSyncMessage) {
 			this.applySyncVariables()
-			this.checkFeedbacks('input_muted', 'output_muted', 'matrix_point_muted')
+			this.checkFeedbacks(...STATE_FEEDBACKS)
+		} else if (result.malformed > 0) {
+			this.setChangedVariableValues(this.rxStatsVariableValues())
+		}
+	}
+
+	rxStatsVariableValues() {
+		return {
+			osc_messages_received: String(this.rxStats.messages),
+			osc_malformed_packets: String(this.rxStats.malformed),
 		}
 	}
 
-	handleOscMessage(packet) {
+	/**
+	 * True when a message on the shared socket belongs to this instance: it comes from this
+	 * instance's target host, or it carries a value and is a known parameter followed by this
+	 * device's name. A device named e.g. "1" therefore does not claim "/gain/output/1" from
+	 * another unit: without the name that path is "/gain/output", which is no parameter.
+	 */
+	isOwnMessage(path, args, rinfo) {
+		if (rinfo && rinfo.address === this.targetHost) return true
+		const name = (this.config.device_name || '').trim()
+		if (!name || args.length === 0 || !path.endsWith('/' + name)) return false
+		return this.knownParameters.has(this.pathToVariableId(path))
+	}
+
+	handleOscMessage(packet, rinfo) {
 		const path = packet.address
 		const args = packet.args || []
 
-		this.updateStatus('ok', (this.config.device_name || '').trim() || 'Connected')
+		if (!this.isOwnMessage(path, args, rinfo)) {
+			this.log('debug', `OSC ${path} ignored (other device)`)
+			return false
+		}
+		this.markAlive()
 
 		const variableId = this.pathToVariableId(path)
 		const pingPath = this.oscPath('/ping')
 		const isPing = path === '/ping' || (!!pingPath && path === pingPath)
+		if (isPing) this.recordPingReply()
 		const willStore = variableId && !isPing
 		if (variableId) {
 			this.log('debug', `OSC ${path} args=${args.length} -> var ${variableId} store=${willStore}`)
@@ -354,26 +1288,80 @@ class SynqDbt44Instance extends InstanceBase {
 		}
 
 		if (willStore) {
-			const value =
-				args.length > 0
-					? args[0].type === 'T'
-						? true
-						: args[0].type === 'F'
-							? false
-							: args[0].value
-					: ''
+			const value = args.length > 0 ? (args[0].type === 'T' ? true : args[0].type === 'F' ? false : args[0].value) : ''
+			const pending = this.pendingConfirms[path]
+			if (pending && pending.timer !== null && args.length > 0) this.checkConfirm(path, variableId, value)
+			// Crosspoint muted elsewhere (e.g. the web UI); a running fade saved its start level already
+			if (!this.fades[variableId]) this.rememberMatrixLevel(variableId, value)
 			this.storeSyncValue(variableId, value)
 			return true
 		}
 		return false
 	}
 
+	/** Any datagram from the device: update last seen, and re-sync if it was offline */
+	markAlive() {
+		this.lastSeen = Date.now()
+		this.missedPings = 0
+		if (!this.connected) {
+			this.connected = true
+			this.updateStatus('ok', (this.config.device_name || '').trim() || 'Connected')
+			this.log('info', 'Device is responding, requesting sync')
+			this.checkFeedbacks('device_offline')
+			this.sendSync()
+		}
+		this.updateConnectionVariables()
+	}
+
+	recordPingReply() {
+		if (this.pingSentAt === null) return
+		this.pingRtt = Date.now() - this.pingSentAt
+		this.pingSentAt = null
+		this.updateConnectionVariables()
+	}
+
+	markOffline() {
+		if (!this.connected) {
+			// Never replied since the connection started (wrong host, device name or no device at all)
+			if (this.lastSeen !== null) return
+			this.log('warn', `No reply to ${this.missedPings} pings, device not found`)
+			this.updateStatus('connection_failure', `No reply to ${this.missedPings} pings`)
+			return
+		}
+		this.connected = false
+		this.pingRtt = null
+		this.log('warn', `No reply to ${this.missedPings} pings, device offline`)
+		this.updateStatus('disconnected', `No reply to ${this.missedPings} pings`)
+		this.checkFeedbacks('device_offline')
+		this.updateConnectionVariables()
+	}
+
+	/** Values of the connected, last_seen and ping_ms variables */
+	connectionVariableValues() {
+		return {
+			connected: this.connected ? '1' : '0',
+			last_seen: this.lastSeen ? new Date(this.lastSeen).toLocaleTimeString('en-GB', { hour12: false }) : '',
+			ping_ms: this.pingRtt !== null ? String(this.pingRtt) : '',
+		}
+	}
+
+	updateConnectionVariables() {
+		this.setChangedVariableValues(this.connectionVariableValues())
+	}
+
 	sendPing() {
 		const path = this.oscPath(OSC_PATH_PING)
 		if (!path || !this.targetHost || !this.socket) return
+		if (this.pingSentAt !== null) {
+			this.missedPings++
+			const limit = parseInt(this.config.missedPings, 10) || DEFAULT_MISSED_PINGS
+			// Counted from the first ping, so a device that never answers is reported too
+			if (this.missedPings === limit) this.markOffline()
+		}
+		this.pingSentAt = Date.now()
 		try {
 			const msg = osc.writePacket({ address: path, args: [] }, { metadata: true })
-			this.socket.send(msg, 0, msg.length, this.config.targetPort, this.targetHost, (err) => {
+			this.socket.send(msg, 0, msg.length, Number(this.config.targetPort), this.targetHost, (err) => {
 				if (err) this.log('error', `Ping send error: ${err.message}`)
 				else this.log('debug', `Sent ${path}`)
 			})
@@ -382,13 +1370,125 @@ class SynqDbt44Instance extends InstanceBase {
 		}
 	}
 
+	/**
+	 * Polling mode: send no-argument "get" requests for the parameters the module uses, so state
+	 * stays current when unsolicited feedback does not reach Companion (routed / VLAN installs).
+	 * One request per tick; every other tick goes to parameters referenced by active feedbacks.
+	 */
+	startPolling() {
+		this.stopPolling()
+		if (!this.config.pollEnabled) return
+		const rate = Math.max(1, Math.min(100, parseInt(this.config.pollRate, 10) || DEFAULT_POLL_RATE))
+		this.pollList = this.buildPollList()
+		this.pollTimer = setInterval(() => this.pollNext(), Math.round(1000 / rate))
+		this.log('info', `Polling ${this.pollList.length} parameters at ${rate} requests/s`)
+	}
+
+	stopPolling() {
+		if (this.pollTimer) {
+			clearInterval(this.pollTimer)
+			this.pollTimer = null
+		}
+	}
+
+	/** Parameters polled in the background round-robin: every known one except EQ and compressor settings */
+	buildPollList() {
+		return this.knownParameterIds().filter((id) => !/^(eq|comp)_/.test(id) || id.startsWith('comp_enable_'))
+	}
+
+	pollNext() {
+		// Pending changes go first; polling resumes when the send queue is empty
+		if (!this.connected || this.sendQueue.size > 0) return
+		this.pollTick++
+		const priority = [...new Set(Object.values(this.pollWatches).flat())]
+		let variableId
+		if (priority.length > 0 && this.pollTick % 2 === 0) {
+			variableId = priority[this.pollPriorityIndex++ % priority.length]
+		} else if (this.pollList.length > 0) {
+			variableId = this.pollList[this.pollIndex++ % this.pollList.length]
+		}
+		if (variableId) this.sendGet(variableId)
+	}
+
+	/** Send a "get" (path without argument); the device replies with the current value */
+	sendGet(variableId) {
+		this.sendOsc(this.variableIdToPath(variableId), [])
+	}
+
+	/** Feedback subscribe hook: poll these variable ids with priority while the feedback exists */
+	watchPollKeys(feedbackId, variableIds) {
+		this.pollWatches[feedbackId] = variableIds
+	}
+
+	unwatchPollKeys(feedbackId) {
+		delete this.pollWatches[feedbackId]
+	}
+
 	setupEmptyActionsVariables() {
 		this.updateActions()
 		this.updateFeedbacks()
 		this.updateVariables()
 	}
 
+	/**
+	 * Ramp a gain parameter from its current value to target over durationMs, sending
+	 * intermediate OSC steps. Any running fade on the same parameter is cancelled.
+	 * curve: 'linear' (linear in dB) or 'taper' (audio taper: fader law, amplitude = position^4).
+	 */
+	startFade(variableId, pathWithoutName, target, durationMs, curve) {
+		this.cancelFade(variableId)
+		if (this.isParamLocked(variableId)) return
+		target = this.limitGain(variableId, target)
+		const num = parseFloat(this.syncState[variableId])
+		const from = isNaN(num) ? 0 : num
+		// The whole fade is one history change; a fade to -inf keeps its start level for the next unmute
+		this.recordChange(variableId, target)
+		this.rememberMatrixLevel(variableId, target)
+		const sendStep = (step) => {
+			const value = this.limitGain(variableId, step)
+			this.sendOsc(pathWithoutName, [{ type: 'f', value }])
+			this.storeSyncValue(variableId, value)
+			this.applySyncVariables()
+			this.checkFeedbacks('matrix_point_muted')
+		}
+		if (!(durationMs > 0) || from === target) {
+			sendStep(target)
+			return
+		}
+		const start = Date.now()
+		this.fades[variableId] = setInterval(() => {
+			const t = Math.min(1, (Date.now() - start) / durationMs)
+			sendStep(t >= 1 ? target : this.fadeValue(from, target, t, curve))
+			if (t >= 1) this.cancelFade(variableId)
+		}, FADE_STEP_MS)
+	}
+
+	/** Gain (dB) at position t (0–1) of a fade from -> to */
+	fadeValue(from, to, t, curve) {
+		if (curve !== 'taper') return from + (to - from) * t
+		const toPos = (db) => (db <= GAIN_MIN ? 0 : Math.pow(10, db / 80))
+		const pos = toPos(from) + (toPos(to) - toPos(from)) * t
+		return pos <= 0 ? GAIN_MIN : Math.max(GAIN_MIN, 80 * Math.log10(pos))
+	}
+
+	cancelFade(variableId) {
+		if (this.fades[variableId]) {
+			clearInterval(this.fades[variableId])
+			delete this.fades[variableId]
+		}
+	}
+
+	cancelAllFades() {
+		for (const variableId of Object.keys(this.fades)) {
+			this.cancelFade(variableId)
+		}
+	}
+
 	async destroy() {
+		this.cancelAllFades()
+		this.stopPolling()
+		this.clearSendQueue()
+		this.clearConfirms()
 		if (this.pingTimer) {
 			clearInterval(this.pingTimer)
 			this.pingTimer = null
@@ -403,6 +1503,10 @@ class SynqDbt44Instance extends InstanceBase {
 	}
 
 	async configUpdated(config) {
+		// Module-stored data is not part of the config form; keep it when the form is saved
+		for (const key of ['snapshots', 'matrixRestore', 'panelLocked', 'solos']) {
+			if (config && config[key] === undefined && this.config && this.config[key]) config[key] = this.config[key]
+		}
 		this.config = config
 		if (this.socket) {
 			try {
@@ -415,8 +1519,17 @@ class SynqDbt44Instance extends InstanceBase {
 			this.pingTimer = null
 		}
 		this.syncState = {}
-		this.syncVariableDefs = []
-		this.savedMatrixGain = {}
+		this.rawValues = {}
+		this.syncVariableIds = new Set()
+		this.variableValues = {}
+		this.cancelAllFades()
+		this.stopPolling()
+		this.clearSendQueue()
+		this.clearConfirms()
+		this.clearHistory()
+		this.resetConnectionState()
+		this.updateConnectionVariables()
+		this.checkFeedbacks('device_offline')
 		this.targetHost = null
 		if (
 			this.config.host &&
@@ -482,6 +1595,145 @@ class SynqDbt44Instance extends InstanceBase {
 				default: '9001',
 				required: true,
 			},
+			{
+				type: 'number',
+				id: 'missedPings',
+				label: 'Missed pings before offline',
+				width: 4,
+				default: DEFAULT_MISSED_PINGS,
+				min: 1,
+				max: 20,
+				tooltip: `A ping is sent every ${PING_INTERVAL_MS / 1000} s. After this many pings without any reply the connection is reported as disconnected.`,
+			},
+			{
+				type: 'static-text',
+				id: 'channel_names_info',
+				label: 'Channel names',
+				width: 12,
+				value:
+					'Optional names shown in action and feedback dropdowns, variable names and presets. Leave empty to use the default (e.g. "Analog in 1").',
+			},
+			...['input', 'output'].flatMap((type) =>
+				Array.from({ length: type === 'input' ? NUM_INPUTS : NUM_OUTPUTS }, (_, i) => ({
+					type: 'textinput',
+					id: `name_${type}_${i + 1}`,
+					label: this.defaultChannelLabel(i + 1, type),
+					width: 3,
+					default: '',
+				})),
+			),
+			{
+				type: 'static-text',
+				id: 'safety_info',
+				label: 'Safety limits',
+				width: 12,
+				value:
+					'Maximum gain per output (also applies to every crosspoint on that output) and locked channels. Actions, fades, snapshots and raw OSC cannot go above a ceiling or change a locked channel.',
+			},
+			...Array.from({ length: NUM_OUTPUTS }, (_, i) => ({
+				type: 'number',
+				id: `maxGain_output_${i + 1}`,
+				label: `Max gain (dB): ${this.defaultChannelLabel(i + 1, 'output')}`,
+				width: 3,
+				min: GAIN_MIN,
+				max: 10,
+				default: 10,
+			})),
+			...['input', 'output'].flatMap((type) =>
+				Array.from({ length: type === 'input' ? NUM_INPUTS : NUM_OUTPUTS }, (_, i) => ({
+					type: 'checkbox',
+					id: `lock_${type}_${i + 1}`,
+					label: `Lock ${this.defaultChannelLabel(i + 1, type)}`,
+					width: 3,
+					default: false,
+				})),
+			),
+			{
+				type: 'number',
+				id: 'outputMuteHoldMs',
+				label: 'Output mute presets: hold to confirm (ms, 0 = off)',
+				width: 4,
+				min: 0,
+				max: 5000,
+				default: 0,
+				tooltip:
+					'Only the output mute presets (Mutes: Outputs, encoder press) use this: they act after the button is held this long. The presets are rebuilt when you save, but buttons already placed keep the timing they were created with, and the Set output mute action itself always acts at once.',
+			},
+			{
+				type: 'textinput',
+				id: 'groups',
+				label: 'Channel groups',
+				width: 12,
+				default: DEFAULT_GROUPS,
+				tooltip:
+					'Groups separated by ";", each "Name: members". Members are in1–in8 or out1–out8 (one type per group), ranges like out5-out8 allowed.',
+			},
+			{
+				type: 'number',
+				id: 'encoderStep',
+				label: 'Encoder step (dB per detent)',
+				width: 4,
+				default: DEFAULT_ENCODER_STEP,
+				min: 0.1,
+				max: 10,
+				step: 0.1,
+			},
+			{
+				type: 'checkbox',
+				id: 'encoderAcceleration',
+				label: 'Encoder acceleration',
+				width: 4,
+				default: true,
+				tooltip: 'Fast turns step 2x or 4x the encoder step',
+			},
+			{
+				type: 'number',
+				id: 'sendWindow',
+				label: 'Send coalescing window (ms)',
+				width: 4,
+				default: DEFAULT_SEND_WINDOW_MS,
+				min: 0,
+				max: 500,
+				tooltip: 'Rapid changes to the same parameter within this window are combined; only the latest value is sent.',
+			},
+			{
+				type: 'number',
+				id: 'maxSendRate',
+				label: 'Max OSC messages per second',
+				width: 4,
+				default: DEFAULT_MAX_SEND_RATE,
+				min: 1,
+				max: 500,
+				tooltip: 'Limits the total send rate to what the DBT-44 can keep up with.',
+			},
+			{
+				type: 'checkbox',
+				id: 'confirmMode',
+				label: 'Confirm mode (read back every change)',
+				width: 4,
+				default: false,
+				tooltip:
+					'After each change, request the value from the device and compare. On a mismatch the device value is shown and the "Confirm failed" feedback turns on.',
+			},
+			{
+				type: 'checkbox',
+				id: 'pollEnabled',
+				label: 'Polling mode',
+				width: 4,
+				default: false,
+				tooltip:
+					'Regularly request values from the device. Use when Companion and the DBT-44 are on different subnets and feedback does not arrive by itself.',
+			},
+			{
+				type: 'number',
+				id: 'pollRate',
+				label: 'Poll rate (requests per second)',
+				width: 4,
+				default: DEFAULT_POLL_RATE,
+				min: 1,
+				max: 100,
+				isVisible: (options) => !!options.pollEnabled,
+			},
 		]
 	}
 
@@ -0,0 +1,138 @@
+const osc = require('osc')
+
+/**
+ * OSC receive parser. Each UDP datagram is parsed on its own: a datagram holds one message,
+ * one bundle (possibly with nested bundles), or several path-only messages back to back as the
+ * DBT-44 sends them. Parsing walks the buffer with offsets (no copies), and a malformed element
+ * only affects its own datagram, or only itself when it sits inside a bundle with a valid size.
+ */
+
+const BUNDLE_TAG = '#bundle'
+/** Bundles nested deeper than this are treated as malformed */
+const MAX_BUNDLE_DEPTH = 8
+/** Byte size of OSC argument types with a fixed size */
+const FIXED_ARG_SIZES = { i: 4, f: 4, c: 4, r: 4, m: 4, h: 8, t: 8, d: 8, T: 0, F: 0, N: 0, I: 0 }
+
+/** Padded length of the NUL-terminated OSC string at offset, or -1 when it is not terminated before end */
+function paddedStringLength(buf, offset, end) {
+	const nul = buf.indexOf(0, offset)
+	if (nul < 0 || nul >= end) return -1
+	return (nul - offset + 1 + 3) & ~3
+}
+
+function isBundle(buf, offset, end) {
+	return end - offset >= 16 && buf.toString('ascii', offset, offset + 8) === `${BUNDLE_TAG}\0`
+}
+
+/** Byte length of the OSC message at offset: address, optional type tags and arguments */
+function messageLength(buf, offset, end) {
+	const addressLength = paddedStringLength(buf, offset, end)
+	if (addressLength < 0) throw new Error('unterminated address')
+	let pos = offset + addressLength
+	// DBT-44 path-only message: no type tag string follows the address
+	if (pos >= end || buf[pos] !== 0x2c) return checkedLength(Math.min(addressLength, end - offset), end - offset)
+	const tagLength = paddedStringLength(buf, pos, end)
+	if (tagLength < 0) throw new Error('unterminated type tags')
+	const tags = buf.toString('ascii', pos + 1, buf.indexOf(0, pos))
+	pos += tagLength
+	for (const tag of tags) {
+		if (tag in FIXED_ARG_SIZES) {
+			pos += FIXED_ARG_SIZES[tag]
+		} else if (tag === 's' || tag === 'S') {
+			const length = paddedStringLength(buf, pos, end)
+			if (length < 0) throw new Error('unterminated string argument')
+			pos += length
+		} else if (tag === 'b') {
+			if (pos + 4 > end) throw new Error('truncated blob size')
+			const size = buf.readInt32BE(pos)
+			if (size < 0) throw new Error(`negative blob size ${size}`)
+			pos += 4 + ((size + 3) & ~3)
+		} else if (tag !== '[' && tag !== ']') {
+			throw new Error(`unknown type tag "${tag}"`)
+		}
+		if (pos > end) throw new Error('truncated arguments')
+	}
+	return checkedLength(pos - offset, end - offset)
+}
+
+/**
+ * Every OSC element is a positive multiple of 4 bytes; anything else would stall the walk. The only
+ * exception is an unpadded path-only message that runs exactly to the end of its datagram.
+ */
+function checkedLength(length, remaining) {
+	if (!(length > 0) || (length % 4 !== 0 && length !== remaining)) throw new Error(`invalid element length ${length}`)
+	return length
+}
+
+/** Decode the message in buf[offset, offset + length) */
+function readMessage(buf, offset, length, result) {
+	const nul = buf.indexOf(0, offset)
+	if (nul < 0 || nul >= offset + length) throw new Error('address not terminated inside the message')
+	const address = buf.toString('utf8', offset, nul)
+	if (!/^\/[\x20-\x7e]*$/.test(address)) throw new Error('invalid address')
+	const tagPos = offset + paddedStringLength(buf, offset, offset + length)
+	if (tagPos >= offset + length || buf[tagPos] !== 0x2c) {
+		result.pathOnly++
+		result.messages.push({ address, args: [] })
+		return
+	}
+	result.messages.push(osc.readPacket(buf.subarray(offset, offset + length), { metadata: true }))
+}
+
+/** Walk the bundle in buf[offset, end), recursing into nested bundles */
+function readBundle(buf, offset, end, result, depth) {
+	if (depth > MAX_BUNDLE_DEPTH) throw new Error('bundles nested too deeply')
+	result.bundles++
+	let pos = offset + 16 // '#bundle\0' + time tag
+	while (pos < end) {
+		if (pos + 4 > end) throw new Error('truncated bundle element size')
+		const size = buf.readInt32BE(pos)
+		pos += 4
+		if (size <= 0 || size % 4 !== 0 || pos + size > end) throw new Error(`invalid bundle element size ${size}`)
+		try {
+			if (isBundle(buf, pos, pos + size)) {
+				readBundle(buf, pos, pos + size, result, depth + 1)
+			} else {
+				readMessage(buf, pos, messageLength(buf, pos, pos + size), result)
+			}
+		} catch (err) {
+			addMalformed(result, buf, pos, pos + size, err)
+		}
+		pos += size
+	}
+}
+
+function addMalformed(result, buf, offset, end, err) {
+	result.malformed++
+	const hex = buf.subarray(offset, Math.min(end, offset + 32)).toString('hex')
+	result.errors.push(`${err.message} (${end - offset} bytes: ${hex})`)
+}
+
+/**
+ * Parse one UDP datagram.
+ * Returns { messages: [{ address, args }], bundles, pathOnly, malformed, errors: [string] }.
+ */
+function parseDatagram(buf) {
+	const result = { messages: [], bundles: 0, pathOnly: 0, malformed: 0, errors: [] }
+	let offset = 0
+	while (offset < buf.length) {
+		try {
+			if (isBundle(buf, offset, buf.length)) {
+				readBundle(buf, offset, buf.length, result, 0)
+				break
+			}
+			// Trailing zero padding after the last message
+			if (buf[offset] === 0 && buf.subarray(offset).every((b) => b === 0)) break
+			if (buf[offset] !== 0x2f) throw new Error('not an OSC message or bundle')
+			const length = messageLength(buf, offset, buf.length)
+			readMessage(buf, offset, length, result)
+			offset += length
+		} catch (err) {
+			addMalformed(result, buf, offset, buf.length, err)
+			break
+		}
+	}
+	return result
+}
+
+module.exports = { parseDatagram }
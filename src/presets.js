@@ -4,17 +4,25 @@ const NUM_OUTPUTS = 8
 module.exports = function (self) {
 	const presets = {}
 	const instanceId = self.id || 'instance'
+	const holdMs = Math.max(0, parseInt(self.config.outputMuteHoldMs, 10) || 0)
+	/** Output mute on press, or only once the button has been held for holdMs (hold to confirm) */
+	const outputMuteStep = (outNum) => {
+		const actions = [{ actionId: 'set_output_mute', options: { output: outNum, mute: 'toggle' } }]
+		return holdMs > 0
+			? { down: [], up: [], [holdMs]: { options: { runWhileHeld: true }, actions } }
+			: { down: actions, up: [] }
+	}
 	for (let outNum = 1; outNum <= NUM_OUTPUTS; outNum++) {
-		const category = `Out ${outNum}`
+		const category = `Out ${outNum}: ${self.channelLabel(outNum, 'output')}`
 		for (let inNum = 1; inNum <= NUM_INPUTS; inNum++) {
 			const id = `matrix_mute_in${inNum}_out${outNum}`
 			const varId = `gain_input_${inNum}_${outNum}`
 			presets[id] = {
 				type: 'button',
 				category,
-				name: `In ${inNum}`,
+				name: self.channelLabel(inNum, 'input'),
 				style: {
-					text: `In ${inNum}\n$(${instanceId}:${varId})`,
+					text: `$(${instanceId}:input_${inNum}_name)\n$(${instanceId}:${varId})`,
 					size: '18',
 					color: 0xffffff,
 					bgcolor: 0x000000,
@@ -25,7 +33,7 @@ module.exports = function (self) {
 						options: { input: inNum, output: outNum },
 						style: {
 							bgcolor: 0xff0000,
-							text: `In ${inNum}\nMUTE`,
+							text: `$(${instanceId}:input_${inNum}_name)\nMUTE`,
 							color: 0xffffff,
 						},
 					},
@@ -44,5 +52,338 @@ module.exports = function (self) {
 			}
 		}
 	}
+	for (let inNum = 1; inNum <= NUM_INPUTS; inNum++) {
+		const category = `Trim In ${inNum}: ${self.channelLabel(inNum, 'input')}`
+		const varId = `trim_${inNum}`
+		const trimFeedback = {
+			feedbackId: 'input_trim_active',
+			options: { input: inNum },
+			style: {
+				bgcolor: 0xff8000,
+				color: 0x000000,
+			},
+		}
+		for (const step of [1, -1]) {
+			const label = step > 0 ? `+${step}` : `${step}`
+			presets[`trim_step_in${inNum}_${step > 0 ? 'up' : 'down'}`] = {
+				type: 'button',
+				category,
+				name: `Trim ${self.channelLabel(inNum, 'input')} ${label} dB`,
+				style: {
+					text: `Trim ${inNum}\n${label} dB`,
+					size: '14',
+					color: 0xffffff,
+					bgcolor: 0x000000,
+				},
+				feedbacks: [],
+				steps: [
+					{
+						down: [
+							{
+								actionId: 'step_input_trim',
+								options: { input: inNum, step_preset: String(step), step_custom: 1 },
+							},
+						],
+						up: [],
+					},
+				],
+			}
+		}
+		presets[`trim_reset_in${inNum}`] = {
+			type: 'button',
+			category,
+			name: `Trim ${self.channelLabel(inNum, 'input')} (reset to 0 dB)`,
+			style: {
+				text: `Trim ${inNum}\n$(${instanceId}:${varId})`,
+				size: '14',
+				color: 0xffffff,
+				bgcolor: 0x000000,
+			},
+			feedbacks: [trimFeedback],
+			steps: [
+				{
+					down: [
+						{
+							actionId: 'reset_input_trim',
+							options: { input: inNum },
+						},
+					],
+					up: [],
+				},
+			],
+		}
+	}
+	for (let outNum = 1; outNum <= NUM_OUTPUTS; outNum++) {
+		presets[`encoder_out${outNum}`] = {
+			type: 'button',
+			category: 'Encoders: Outputs',
+			name: `${self.channelLabel(outNum, 'output')} gain (encoder)`,
+			options: { rotaryActions: true },
+			style: {
+				text: `$(${instanceId}:output_${outNum}_name)\n$(${instanceId}:gain_output_${outNum}) dB`,
+				size: '14',
+				color: 0xffffff,
+				bgcolor: 0x000000,
+			},
+			feedbacks: [
+				{
+					feedbackId: 'output_muted',
+					options: { output: outNum },
+					style: {
+						bgcolor: 0xff0000,
+						color: 0xffffff,
+					},
+				},
+			],
+			steps: [
+				{
+					...outputMuteStep(outNum),
+					rotate_left: [{ actionId: 'rotate_output_gain', options: { output: outNum, direction: 'down' } }],
+					rotate_right: [{ actionId: 'rotate_output_gain', options: { output: outNum, direction: 'up' } }],
+				},
+			],
+		}
+		for (let inNum = 1; inNum <= NUM_INPUTS; inNum++) {
+			const options = { input: inNum, output: outNum }
+			presets[`encoder_in${inNum}_out${outNum}`] = {
+				type: 'button',
+				category: `Encoders: Out ${outNum}`,
+				name: `${self.channelLabel(inNum, 'input')} -> ${self.channelLabel(outNum, 'output')} gain (encoder)`,
+				options: { rotaryActions: true },
+				style: {
+					text: `In ${inNum}>${outNum}\n$(${instanceId}:gain_input_${inNum}_${outNum}) dB`,
+					size: '14',
+					color: 0xffffff,
+					bgcolor: 0x000000,
+				},
+				feedbacks: [
+					{
+						feedbackId: 'matrix_point_muted',
+						options,
+						style: {
+							bgcolor: 0xff0000,
+							text: `In ${inNum}>${outNum}\nMUTE`,
+							color: 0xffffff,
+						},
+					},
+				],
+				steps: [
+					{
+						down: [{ actionId: 'matrix_point_mute_toggle', options }],
+						up: [],
+						rotate_left: [{ actionId: 'rotate_input_gain', options: { ...options, direction: 'down' } }],
+						rotate_right: [{ actionId: 'rotate_input_gain', options: { ...options, direction: 'up' } }],
+					},
+				],
+			}
+		}
+	}
+	const nameVar = (type, n) => `$(${instanceId}:${type}_${n}_name)`
+	presets.refresh_sync = {
+		type: 'button',
+		category: 'Status',
+		name: 'Refresh sync',
+		style: {
+			text: 'Refresh\nsync',
+			size: '14',
+			color: 0xffffff,
+			bgcolor: 0x000000,
+		},
+		feedbacks: [],
+		steps: [{ down: [{ actionId: 'refresh_sync', options: {} }], up: [] }],
+	}
+	presets.connection_status = {
+		type: 'button',
+		category: 'Status',
+		name: 'Connection status',
+		style: {
+			text: `$(${instanceId}:device_name)\n$(${instanceId}:ping_ms) ms`,
+			size: '14',
+			color: 0xffffff,
+			bgcolor: 0x006600,
+		},
+		feedbacks: [
+			{
+				feedbackId: 'device_offline',
+				options: {},
+				style: {
+					bgcolor: 0xff0000,
+					text: `$(${instanceId}:device_name)\nOFFLINE`,
+					color: 0xffffff,
+				},
+			},
+		],
+		steps: [{ down: [], up: [] }],
+	}
+	for (const type of ['input', 'output']) {
+		const count = type === 'input' ? NUM_INPUTS : NUM_OUTPUTS
+		const short = type === 'input' ? 'in' : 'out'
+		for (let n = 1; n <= count; n++) {
+			const label = self.channelLabel(n, type)
+			presets[`mute_${short}${n}`] = {
+				type: 'button',
+				category: type === 'input' ? 'Mutes: Inputs' : 'Mutes: Outputs',
+				name: `Mute ${label}`,
+				style: {
+					text: nameVar(type, n),
+					size: '14',
+					color: 0xffffff,
+					bgcolor: 0x000000,
+				},
+				feedbacks: [
+					{
+						feedbackId: `${type}_muted`,
+						options: { [type]: n },
+						style: {
+							bgcolor: 0xff0000,
+							text: `${nameVar(type, n)}\nMUTE`,
+							color: 0xffffff,
+						},
+					},
+				],
+				steps: [
+					type === 'output'
+						? outputMuteStep(n)
+						: { down: [{ actionId: 'set_input_mute', options: { input: n, mute: 'toggle' } }], up: [] },
+				],
+			}
+			presets[`phase_${short}${n}`] = {
+				type: 'button',
+				category: 'Polarity',
+				name: `Polarity ${label} (toggle)`,
+				style: {
+					text: `${nameVar(type, n)}\nPhase`,
+					size: '14',
+					color: 0xffffff,
+					bgcolor: 0x000000,
+				},
+				feedbacks: [
+					{
+						feedbackId: `${type}_phase_inverted`,
+						options: { [type]: n },
+						style: {
+							bgcolor: 0x0060ff,
+							text: `${nameVar(type, n)}\nØ`,
+							color: 0xffffff,
+						},
+					},
+				],
+				steps: [
+					{
+						down: [{ actionId: `set_${type}_phase`, options: { [type]: n, invert: 'toggle' } }],
+						up: [],
+					},
+				],
+			}
+			const channel = { channel_type: type, input: type === 'input' ? n : 1, output: type === 'output' ? n : 1 }
+			presets[`eq_bypass_${short}${n}`] = {
+				type: 'button',
+				category: 'EQ bypass',
+				name: `EQ ${label} (enable / bypass)`,
+				style: {
+					text: `${nameVar(type, n)}\nEQ off`,
+					size: '14',
+					color: 0xffffff,
+					bgcolor: 0x000000,
+				},
+				feedbacks: [
+					{
+						feedbackId: 'eq_active',
+						options: channel,
+						style: {
+							bgcolor: 0x009900,
+							text: `${nameVar(type, n)}\nEQ on`,
+							color: 0xffffff,
+						},
+					},
+				],
+				steps: [
+					{
+						down: [{ actionId: 'set_eq_enable', options: { ...channel, enable: 'toggle' } }],
+						up: [],
+					},
+				],
+			}
+		}
+	}
+	for (let outNum = 1; outNum <= NUM_OUTPUTS; outNum++) {
+		const label = self.channelLabel(outNum, 'output')
+		for (const step of [3, -3]) {
+			const stepLabel = step > 0 ? `+${step}` : `${step}`
+			presets[`output_gain_out${outNum}_${step > 0 ? 'up' : 'down'}`] = {
+				type: 'button',
+				category: 'Output gain',
+				name: `${label} ${stepLabel} dB`,
+				style: {
+					text: `${nameVar('output', outNum)}\n${stepLabel} dB`,
+					size: '14',
+					color: 0xffffff,
+					bgcolor: 0x000000,
+				},
+				feedbacks: [],
+				steps: [
+					{
+						down: [
+							{
+								actionId: 'step_output_gain',
+								options: { output: outNum, step_preset: String(step), step_custom: 3 },
+							},
+						],
+						up: [],
+					},
+				],
+			}
+		}
+		presets[`output_gain_out${outNum}_readout`] = {
+			type: 'button',
+			category: 'Output gain',
+			name: `${label} gain (readout)`,
+			style: {
+				text: `${nameVar('output', outNum)}\n$(${instanceId}:gain_output_${outNum}) dB`,
+				size: '14',
+				color: 0xffffff,
+				bgcolor: 0x000000,
+			},
+			feedbacks: [
+				{
+					feedbackId: 'output_muted',
+					options: { output: outNum },
+					style: {
+						bgcolor: 0xff0000,
+						color: 0xffffff,
+					},
+				},
+			],
+			steps: [{ down: [], up: [] }],
+		}
+		for (let inNum = 1; inNum <= NUM_INPUTS; inNum++) {
+			for (const step of [3, -3]) {
+				const stepLabel = step > 0 ? `+${step}` : `${step}`
+				presets[`matrix_gain_in${inNum}_out${outNum}_${step > 0 ? 'up' : 'down'}`] = {
+					type: 'button',
+					category: `Matrix gain Out ${outNum}: ${label}`,
+					name: `${self.channelLabel(inNum, 'input')} ${stepLabel} dB`,
+					style: {
+						text: `${nameVar('input', inNum)}\n${stepLabel} dB`,
+						size: '14',
+						color: 0xffffff,
+						bgcolor: 0x000000,
+					},
+					feedbacks: [],
+					steps: [
+						{
+							down: [
+								{
+									actionId: 'step_input_gain',
+									options: { input: inNum, output: outNum, step_preset: String(step), step_custom: 3 },
+								},
+							],
+							up: [],
+						},
+					],
+				}
+			}
+		}
+	}
 	self.setPresetDefinitions(presets)
 }
@@ -1,12 +1,44 @@
 module.exports = function (self) {
 	const defs = [
 		{ variableId: 'device_name', name: 'Device name (configured)' },
-		...self.syncVariableDefs.map((d) => ({
-			variableId: d.variableId,
-			name: self.variableIdToName(d.variableId),
+		{ variableId: 'snapshot_matched', name: 'Snapshot matching the current state' },
+		...['input', 'output'].flatMap((type) =>
+			self.channelChoices(type).map((c) => ({
+				variableId: `${type}_${c.id}_name`,
+				name: `Channel name: ${self.defaultChannelLabel(c.id, type)}`,
+			})),
+		),
+		...self.channelChoices('output').map((c) => ({
+			variableId: `output_${c.id}_sources`,
+			name: `Sources routed to ${self.channelLabel(c.id, 'output')}`,
+		})),
+		...self.channelChoices('output').map((c) => ({
+			variableId: `output_${c.id}_solo`,
+			name: `Input soloed on ${self.channelLabel(c.id, 'output')}`,
+		})),
+		{ variableId: 'inputs_muted_count', name: 'Number of muted inputs' },
+		{ variableId: 'outputs_muted_count', name: 'Number of muted outputs' },
+		{ variableId: 'panel_locked', name: 'Panel locked (1 = locked)' },
+		{ variableId: 'history_last_change', name: 'Undo history: last change' },
+		{ variableId: 'history_last_change_time', name: 'Undo history: time of last change' },
+		{ variableId: 'history_undo_count', name: 'Undo history: changes that can be undone' },
+		{ variableId: 'history_redo_count', name: 'Undo history: changes that can be redone' },
+		{ variableId: 'history_since_mark', name: 'Undo history: changes since mark' },
+		{ variableId: 'confirm_mismatch_count', name: 'Confirm mode: changes the device did not apply' },
+		{ variableId: 'confirm_last_mismatch', name: 'Confirm mode: last mismatch' },
+		{ variableId: 'connected', name: 'Device connected (1 = replying to ping)' },
+		{ variableId: 'last_seen', name: 'Time of last reply from device' },
+		{ variableId: 'ping_ms', name: 'Ping round-trip time (ms)' },
+		{ variableId: 'osc_messages_received', name: 'OSC messages received' },
+		{ variableId: 'osc_malformed_packets', name: 'Malformed OSC packets received' },
+		...Array.from(self.syncVariableIds, (variableId) => ({
+			variableId,
+			name: self.variableIdToName(variableId),
 		})),
 	]
 	self.setVariableDefinitions(defs)
-	const deviceName = (self.config.device_name || '').trim()
-	self.setVariableValues({ device_name: deviceName, ...self.syncState })
+	self.variableDefsDirty = false
+	const values = self.currentVariableValues()
+	self.variableValues = { ...values }
+	self.setVariableValues(values)
 }